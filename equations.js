@@ -7,19 +7,45 @@ class EquationParser {
             '#f97316', '#14b8a6', '#6366f1', '#a855f7'
         ];
         this.colorIndex = 0;
+        this.expressionParser = new ExpressionParser();
 
         // List of math functions to preserve during preprocessing
         this.mathFunctions = [
             'sin', 'cos', 'tan', 'sec', 'csc', 'cot',
             'sinh', 'cosh', 'tanh', 'sech', 'csch', 'coth',
-            'asin', 'acos', 'atan', 'asec', 'acsc', 'acot',
+            'asin', 'acos', 'atan', 'atan2', 'asec', 'acsc', 'acot',
             'asinh', 'acosh', 'atanh',
             'arcsin', 'arccos', 'arctan', 'arcsec', 'arccsc', 'arccot',
             'sqrt', 'cbrt', 'abs', 'log', 'ln', 'exp',
             'floor', 'ceil', 'round', 'sign', 'mod',
-            'min', 'max', 'clamp', 'root', 'nthroot', 'log10', 'log2',
+            'min', 'max', 'clamp', 'hypot', 'root', 'nthroot', 'log10', 'log2',
             'logBase', 'naturalLog', 'heaviside', 'step', 'sigmoid'
         ];
+
+        // Slider parameters shared by every equation (a, b, k, ...)
+        this.parameters = {};
+        this.parameterValues = {};
+        this.parameterSweepSeconds = 4;
+
+        // User definitions such as f(x) = x^2 or k = 2.5, in dependency order
+        this.definitions = {};
+        this.definitionOrder = [];
+        this.definitionScope = {};
+        this.definitionColor = '#94a3b8';
+
+        // Names each parsed entry mentions, for findAffected on every slider frame
+        this.usedNames = new WeakMap();
+
+        // Single letters with an optional subscript: a, k, a_1, v_0
+        this.namePattern = '[a-zA-Z](?:_[a-zA-Z0-9]+)?';
+
+        // Most curves one list entry such as y = [1, 2, 3]x may expand into
+        this.maxFamilySize = 24;
+
+        // Curves evaluate through native closures; turn off to compare with plain math.js
+        this.useNativeCompilation = true;
+        this.compiler = new ExpressionCompiler(this);
+        this.latexFormatter = new LatexFormatter();
     }
 
     createScope(values = {}) {
@@ -47,10 +73,33 @@ class EquationParser {
             heaviside: (x) => x < 0 ? 0 : (x > 0 ? 1 : 0.5),
             step: (x) => x < 0 ? 0 : 1,
             sigmoid: (x) => 1 / (1 + Math.exp(-x)),
+            ...this.parameterValues,
+            ...this.definitionScope,
             ...values
         };
     }
 
+    /**
+     * Compile an expression into a function of the given variables (or of
+     * one values object when variables is null): a native closure when the
+     * compiler supports every node, otherwise math.js with a fresh scope per call.
+     */
+    compileFunction(expression, variables = null) {
+        const node = typeof expression === 'string' ? math.parse(expression) : expression;
+        const native = this.useNativeCompilation ? this.compiler.compile(node, variables) : null;
+        if (native) return native;
+
+        const compiled = node.compile();
+        if (!variables) return (values = {}) => compiled.evaluate(this.createScope(values));
+        return (...values) => {
+            const locals = {};
+            variables.forEach((name, index) => {
+                locals[name] = values[index];
+            });
+            return compiled.evaluate(this.createScope(locals));
+        };
+    }
+
     nthRoot(n, x) {
         if (n === 0) return NaN;
         if (x < 0 && Math.abs(n % 2) === 1) {
@@ -59,112 +108,1014 @@ class EquationParser {
         return Math.pow(x, 1 / n);
     }
 
-    parseEquation(equationString) {
+    /**
+     * Parse one entry of the equation list.
+     * @param {string} equationString - The entry as typed
+     * @param {Object} options - { type: parse the curve as this type instead of the detected one }
+     */
+    parseEquation(equationString, options = {}) {
+        let source = equationString;
         try {
-            // Clean up the equation string
-            let cleanEquation = equationString.trim();
+            // LaTeX pasted from Desmos or a worksheet becomes the input dialect first
+            if (this.looksLikeLatex(source)) source = this.fromLatex(source);
 
-            // Handle piecewise functions
-            if (cleanEquation.includes('{')) {
-                return this.parsePiecewise(cleanEquation);
+            // Clean up the equation string
+            let cleanEquation = source.trim();
+            let equation;
+            const definition = this.parseDefinitionHeader(cleanEquation);
+            const override = options.type || null;
+
+            // Handle definitions, then families, then single curves
+            const members = this.expandLists(cleanEquation);
+            if (definition) {
+                if (members) {
+                    throw new EquationError('Definitions cannot hold lists', {
+                        code: 'list_definition', suggestion: 'Put the list in a curve instead, like y = [1, 2, 3]x'
+                    });
+                }
+                equation = this.parseDefinition(cleanEquation, definition);
+            } else if (members) {
+                equation = this.parseFamily(cleanEquation, members, override);
+            } else {
+                equation = this.parseSingle(cleanEquation, override);
             }
 
-            // Detect equation type
-            const equationType = this.detectEquationType(cleanEquation);
-
-            switch (equationType) {
-                case 'explicit_y':
-                    return this.parseExplicitY(cleanEquation);
-                case 'explicit_x':
-                    return this.parseExplicitX(cleanEquation);
-                case 'constant_x':
-                    return this.parseConstantX(cleanEquation);
-                case 'constant_y':
-                    return this.parseConstantY(cleanEquation);
-                case 'implicit':
-                    return this.parseImplicit(cleanEquation);
-                case 'parametric':
-                    return this.parseParametric(cleanEquation);
-                case 'polar':
-                    return this.parsePolar(cleanEquation);
-                case 'inequality':
-                    return this.parseInequality(cleanEquation);
-                default:
-                    throw new Error('Unsupported equation type');
+            equation.parameters = this.bindParameters(equation);
+            equation.latex = this.formatEquation(source);
+            return equation;
+        } catch (error) {
+            throw this.toEquationError(error, source);
+        }
+    }
+
+    /** Parse one plotted curve: ranged, restricted or piecewise, or plain */
+    parseSingle(cleanEquation, override = null) {
+        if (/\sfor\s/.test(cleanEquation)) return this.parseRanged(cleanEquation, override);
+        if (cleanEquation.includes('{')) return this.parsePiecewise(cleanEquation, [], override);
+        return this.parseCurve(cleanEquation, [], override);
+    }
+
+    /** LaTeX for the equation list, or null to fall back to the text as typed */
+    formatEquation(source) {
+        try {
+            return this.toLatex(source);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Report a failure against the whole input: ranges found while parsing
+     * a piece (one side, a condition) are shifted to where that piece sits.
+     */
+    toEquationError(error, input) {
+        const details = error instanceof EquationError ? error : new EquationError(error.message);
+        let { start, end } = details;
+
+        if (start !== null && details.source !== input) {
+            const offset = details.source === null ? -1 : input.indexOf(details.source);
+            if (offset >= 0) {
+                start += offset;
+                end += offset;
+            } else {
+                start = end = null;
             }
+        }
+
+        const column = start !== null ? ` at col ${start + 1}` : '';
+        return new EquationError(`Invalid equation: ${details.message}${column}`, {
+            code: details.code,
+            start,
+            end,
+            source: input,
+            suggestion: details.suggestion
+        });
+    }
+
+    /**
+     * Errors raised inside a piece of a larger source (a restriction, a branch,
+     * a range) point into that piece; move them onto the larger source so a
+     * repeated piece like the "t" in "(t, t^2) for t" is still underlined once.
+     */
+    rebaseError(error, piece, offset, source) {
+        if (!(error instanceof EquationError) || error.start === null || error.source === null) return error;
+        const inner = error.source === piece ? 0 : piece.indexOf(error.source);
+        if (inner < 0) return error;
+
+        return new EquationError(error.message, {
+            code: error.code,
+            start: error.start + offset + inner,
+            end: error.end + offset + inner,
+            source,
+            suggestion: error.suggestion
+        });
+    }
+
+    /** Run parse on a piece found at offset within source, rebasing any error */
+    withinPiece(piece, offset, source, parse) {
+        try {
+            return parse();
         } catch (error) {
-            throw new Error(`Invalid equation: ${error.message}`);
+            throw this.rebaseError(error, piece, offset, source);
         }
     }
 
-    detectEquationType(equation) {
-        // Remove spaces for easier parsing
-        const clean = equation.replace(/\s/g, '');
-        const lower = clean.toLowerCase();
+    /**
+     * Parse a curve as its detected type, or as `override` when the player
+     * picked one in the equation list. Both are kept on the result so the
+     * list can show what was detected next to what is plotted.
+     */
+    parseCurve(body, hints = [], override = null) {
+        let detectedType = null;
+        try {
+            detectedType = this.detectCurveType(body, hints);
+        } catch (error) {
+            if (!override) throw error;
+        }
+
+        const equation = this.parseByType(body, override || detectedType);
+        equation.detectedType = detectedType;
+        equation.typeOverride = override;
+        return equation;
+    }
+
+    parseByType(cleanEquation, equationType) {
+        switch (equationType) {
+            case 'explicit_y':
+                return this.parseExplicitY(cleanEquation);
+            case 'explicit_x':
+                return this.parseExplicitX(cleanEquation);
+            case 'constant_x':
+                return this.parseConstantX(cleanEquation);
+            case 'constant_y':
+                return this.parseConstantY(cleanEquation);
+            case 'implicit':
+                return this.parseImplicit(cleanEquation);
+            case 'parametric':
+                return this.parseParametric(cleanEquation);
+            case 'polar':
+                return this.parsePolar(cleanEquation);
+            case 'inequality':
+                return this.parseInequality(cleanEquation);
+            default:
+                throw new EquationError('Unsupported equation type', {
+                    code: 'unknown_type', start: 0, end: cleanEquation.length, source: cleanEquation,
+                    suggestion: 'Pick another type for this row, or let it detect one'
+                });
+        }
+    }
+
+    // ── families ────────────────────────────────────────────────────────
+
+    /**
+     * The member sources of an entry with lists, "y = [1, 2]x + [3, 4]" →
+     * "y = (1)x + (3)", "y = (2)x + (4)", or null when it has none. Lists
+     * are read in step; a list of one item is shared by every member.
+     */
+    expandLists(source) {
+        const lists = [];
+        for (let i = 0; i < source.length; i++) {
+            if (source[i] !== '[') continue;
+
+            let depth = 0;
+            let end = i;
+            for (; end < source.length; end++) {
+                if ('([{'.includes(source[end])) depth++;
+                else if (')]}'.includes(source[end]) && --depth === 0) break;
+            }
+            // An unclosed list is left for the expression parser to point at
+            if (end >= source.length) return null;
+
+            const items = this.splitTopLevel(source.slice(i + 1, end), ',').map(item => item.trim());
+            if (items.some(item => item.includes('['))) {
+                throw new EquationError('Lists cannot contain lists', {
+                    code: 'nested_list', start: i, end: end + 1, source, suggestion: 'Use one flat list, like [1, 2, 3]'
+                });
+            }
+            lists.push({ start: i, end: end + 1, items });
+            i = end;
+        }
+        if (lists.length === 0) return null;
+
+        const size = Math.max(...lists.map(list => list.items.length));
+        const mismatch = lists.find(list => list.items.length !== 1 && list.items.length !== size);
+        if (mismatch) {
+            throw new EquationError(`Lists must have the same length: ${mismatch.items.length} items instead of ${size}`, {
+                code: 'list_length_mismatch', start: mismatch.start, end: mismatch.end, source,
+                suggestion: 'Give every list the same number of items'
+            });
+        }
+        if (size > this.maxFamilySize) {
+            throw new EquationError(`A list can make at most ${this.maxFamilySize} curves`, {
+                code: 'too_many_members', start: lists[0].start, end: lists[0].end, source
+            });
+        }
+
+        return Array.from({ length: size }, (_, member) => lists.reduceRight((text, list) =>
+            `${text.slice(0, list.start)}(${list.items[list.items.length === 1 ? 0 : member]})${text.slice(list.end)}`, source));
+    }
+
+    /**
+     * One entry that plots several curves. Members are ordinary equations
+     * shaded from the family's colour; their tracks are all physics paths,
+     * so a marble on a family rides whichever member it lands on.
+     */
+    parseFamily(source, memberSources, override = null) {
+        const color = this.getNextColor();
+        const colorIndex = this.colorIndex;
+
+        const members = memberSources.map(memberSource => {
+            const member = this.parseSingle(memberSource, override);
+            this.colorIndex = colorIndex;
+            return member;
+        });
+
+        const family = {
+            original: source,
+            type: 'family',
+            members,
+            tracks: members.flatMap(member => member.tracks || [member]),
+            detectedType: members[0].detectedType ?? null,
+            typeOverride: override
+        };
+        this.setColor(family, color);
+        return family;
+    }
+
+    /** Give an equation its colour; family members take shades of it */
+    setColor(equation, color) {
+        equation.color = color;
+        (equation.members || []).forEach((member, index) => {
+            const base = member.type === 'inequality' ? `${color}40` : color;
+            member.color = this.shadeColor(base, index, equation.members.length);
+        });
+    }
+
+    /** Member `index` of `count`, from darker to lighter than `color`; an alpha suffix is kept */
+    shadeColor(color, index, count) {
+        const amount = count > 1 ? 0.7 * index / (count - 1) - 0.35 : 0;
+        const target = amount < 0 ? 0 : 255;
+        const channels = [1, 3, 5].map(offset => {
+            const value = parseInt(color.slice(offset, offset + 2), 16);
+            return Math.round(value + (target - value) * Math.abs(amount)).toString(16).padStart(2, '0');
+        });
+        return `#${channels.join('')}${color.slice(7)}`;
+    }
+
+    // ── LaTeX import ────────────────────────────────────────────────────
+
+    /** True for text copied out of Desmos or a LaTeX worksheet rather than typed */
+    looksLikeLatex(source) {
+        return /\\[a-zA-Z{}|,;!]|[\^_]\{/.test(source);
+    }
+
+    /**
+     * Convert LaTeX such as "y=\frac{1}{2}x^{2}-3" or "y=\left\{x<0:-x,x\right\}"
+     * into the input dialect ("y=(1/2)x^2-3", "y={x<0:-x,x}"). Also undoes
+     * MathKeyboard.toLatex, so a previewed equation pastes back as itself.
+     * @throws {EquationError} For commands the dialect has no spelling for
+     */
+    fromLatex(source) {
+        // Commands are padded with a gap that becomes a space only between two words: 2\pi x → 2pi x, \sin(x) → sin(x)
+        const reader = { source, index: 0, gap: '\uE000' };
+        return this.readLatex(reader, null)
+            .replace(/\uE000+/g, reader.gap)
+            .replace(/(?<=[A-Za-z0-9])\uE000(?=[A-Za-z0-9])/g, ' ')
+            .replace(/\uE000/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /** Convert LaTeX up to the closing character `stop` (or the end), consuming it */
+    readLatex(reader, stop) {
+        const { source, gap } = reader;
+        const commands = {
+            cdot: '*', times: '*', ast: '*', div: '/',
+            le: '<=', leq: '<=', leqslant: '<=', ge: '>=', geq: '>=', geqslant: '>=',
+            ne: '!=', neq: '!=', lt: '<', gt: '>',
+            vert: '|', lvert: '|', rvert: '|', mid: '|',
+            theta: 'theta', vartheta: 'theta', pi: 'pi', tau: 'tau', phi: 'phi', varphi: 'phi',
+            infty: 'Infinity', circ: '°', quad: ' ', qquad: ' '
+        };
+        const wrappers = ['operatorname', 'mathrm', 'mathit', 'text', 'textrm'];
+        const functions = new Set([...this.mathFunctions, 'ln', 'log', 'exp']);
+        const end = reader.end ?? source.length;
+        let output = '';
+
+        while (reader.index < end) {
+            const char = source[reader.index];
+            const start = reader.index;
+            reader.index++;
+
+            if (char === stop) return output;
+
+            if (char === '}') {
+                throw new EquationError('Unbalanced } in LaTeX', {
+                    code: 'unbalanced_brace', start, end: start + 1, source, suggestion: 'Remove this } or add a matching {'
+                });
+            }
 
-        // Check for polar equations (r = ..., uses θ or theta)
-        if (lower.startsWith('r=') && (clean.includes('θ') || lower.includes('theta'))) {
-            return 'polar';
+            if (char === '{') {
+                // Bare braces only group in LaTeX; \{ is the brace the dialect means
+                output += `(${this.readLatex(reader, '}')})`;
+                continue;
+            }
+
+            if (char === '^') {
+                if (source.startsWith('\\circ', reader.index)) {
+                    reader.index += '\\circ'.length;
+                    output += '°';
+                } else if (source[reader.index] === '{') {
+                    reader.index++;
+                    const power = this.readLatex(reader, '}');
+                    output += power.replaceAll(gap, '').trim() === '°' ? '°' : `^${this.latexOperand(power, gap)}`;
+                } else {
+                    output += '^';
+                }
+                continue;
+            }
+
+            if (char === '_' && source[reader.index] === '{') {
+                // a_{1} → a_1 and log_{2} → log_2: braces would read as a restriction
+                reader.index++;
+                output += `_${this.readLatex(reader, '}').trim()}${gap}`;
+                continue;
+            }
+
+            if (char !== '\\') {
+                output += char;
+                continue;
+            }
+
+            const name = source.slice(reader.index).match(/^([a-zA-Z]+|.?)/)[0];
+            reader.index += name.length;
+            // As in LaTeX, spaces after a command word only end its name
+            if (/^[a-zA-Z]/.test(name)) {
+                while (/\s/.test(source[reader.index] || '')) reader.index++;
+            }
+
+            if (name === 'left' || name === 'right') {
+                // \left. and \right. are invisible delimiters
+                if (source[reader.index] === '.') reader.index++;
+            } else if (name === '{' || name === '}' || name === '|') {
+                output += name;
+            } else if (name === '\\' || name === ',' || name === ';' || name === ':' || name === '!' || name === ' ') {
+                output += ' ';
+            } else if (name === 'frac' || name === 'dfrac' || name === 'tfrac') {
+                const numerator = this.readLatexGroup(reader, start);
+                const denominator = this.readLatexGroup(reader, start);
+                output += `(${this.latexOperand(numerator, gap)}/${this.latexOperand(denominator, gap)})`;
+            } else if (name === 'sqrt') {
+                let index = null;
+                if (source[reader.index] === '[') {
+                    reader.index++;
+                    index = this.readLatex(reader, ']');
+                }
+                const radicand = this.readLatexGroup(reader, start);
+                output += index === null ? `${gap}sqrt(${radicand})` : `${gap}root(${index}, ${radicand})`;
+            } else if (name === 'begin') {
+                output += this.readLatexCases(reader, start);
+            } else if (name === 'sum' || name === 'prod') {
+                output += gap + this.readLatexSeries(reader, name, start);
+            } else if (wrappers.includes(name)) {
+                output += gap + this.readLatexGroup(reader, start) + gap;
+            } else if (functions.has(name)) {
+                output += gap + name + gap;
+            } else if (name in commands) {
+                output += gap + commands[name] + gap;
+            } else {
+                throw this.unsupportedLatex(name, start, reader.index, source);
+            }
         }
 
-        // Check for parametric equations (x = f(t), y = g(t) or x(t) = ..., y(t) = ...)
-        if ((clean.includes('x(t)') || clean.includes('y(t)')) ||
-            (clean.includes(',') && clean.includes('t') && !clean.includes('theta'))) {
-            return 'parametric';
+        if (stop) {
+            throw new EquationError(`Missing ${stop} in LaTeX`, {
+                code: 'unbalanced_brace', start: source.length, end: source.length, source, suggestion: `Add a ${stop} to close it`
+            });
         }
+        return output;
+    }
 
-        // Check for inequality equations
-        if (clean.includes('>=') || clean.includes('<=') ||
-            clean.includes('≥') || clean.includes('≤') ||
-            (clean.includes('>') && !clean.includes('=')) ||
-            (clean.includes('<') && !clean.includes('='))) {
-            return 'inequality';
+    /**
+     * \begin{cases} -x & x < 0 \\ x & \text{otherwise} \end{cases} as the
+     * dialect's {x < 0: -x, x}, with the reader just past \begin.
+     */
+    readLatexCases(reader, start) {
+        const { source, gap } = reader;
+        const environment = this.readLatexGroup(reader, start).replaceAll(gap, '').trim();
+        const endTag = '\\end{cases}';
+        const close = source.indexOf(endTag, reader.index);
+        if (environment !== 'cases' || close < 0) {
+            throw new EquationError(`LaTeX environment ${environment} is not supported`, {
+                code: 'unsupported_latex', start, end: reader.index, source,
+                suggestion: 'Write piecewise curves like y = {x < 0: -x, x}'
+            });
         }
 
-        // Check for constant x = number (vertical line)
-        if (lower.startsWith('x=')) {
-            const rightSide = clean.substring(2);
-            // If right side is just a number, it's a constant
-            if (/^-?\d+\.?\d*$/.test(rightSide)) {
-                return 'constant_x';
+        // Rows end at \\ and cells at &, outside any braces
+        const rows = [];
+        let cells = [];
+        let cellStart = reader.index;
+        let depth = 0;
+        const convert = (from, to) => this.readLatex({ source, gap, index: from, end: to }, null);
+        for (let i = reader.index; i <= close; i++) {
+            const char = source[i];
+            const rowEnd = i === close || (char === '\\' && source[i + 1] === '\\');
+            if (char === '{') depth++;
+            else if (char === '}') depth--;
+            else if (char === '&' && depth === 0) {
+                cells.push(convert(cellStart, i));
+                cellStart = i + 1;
+            } else if (rowEnd && depth === 0) {
+                cells.push(convert(cellStart, i));
+                if (cells.some(cell => cell.replaceAll(gap, '').trim())) rows.push(cells);
+                cells = [];
+                cellStart = i + 2;
+                i++;
+            } else if (char === '\\') {
+                i++;
             }
-            // If right side contains only y (and numbers/operators), it's explicit_x
-            if (!clean.includes('y') || rightSide.includes('y')) {
-                return 'explicit_x';
+        }
+        reader.index = close + endTag.length;
+
+        const branches = rows.map(([value, condition = '']) => {
+            const bare = condition.replaceAll(gap, '').trim().replace(/^if\b\s*/, '');
+            return bare === '' || bare === 'otherwise' ? value.trim() : `${bare}: ${value.trim()}`;
+        });
+        return `{${branches.join(', ')}}`;
+    }
+
+    /**
+     * \sum_{n=1}^{5}\left(\frac{x^n}{n}\right) as sum(n=1, 5, (x^n/n)), with the
+     * reader just past the command. The term runs to the next top-level
+     * + or -, relation, comma or closing bracket, as Desmos reads it.
+     */
+    readLatexSeries(reader, name, start) {
+        const { source, gap } = reader;
+        const usage = `Write it like \\${name}_{n=1}^{5} n x`;
+        const bound = (marker) => {
+            while (/\s/.test(source[reader.index] || '')) reader.index++;
+            if (source[reader.index] !== marker) {
+                throw new EquationError(`\\${name} needs ${marker === '_' ? 'a first' : 'a last'} value`, {
+                    code: 'invalid_series', start, end: reader.index, source, suggestion: usage
+                });
             }
+            reader.index++;
+            if (source[reader.index] === '{') return this.readLatexGroup(reader, start);
+            return source[reader.index++] || '';
+        };
+
+        const lower = bound('_');
+        const upper = bound('^');
+        if (!lower.includes('=')) {
+            throw new EquationError(`\\${name} needs its counter below it, like n=1`, {
+                code: 'invalid_series', start, end: reader.index, source, suggestion: usage
+            });
         }
 
-        // Check for constant y = number (horizontal line)
-        if (lower.startsWith('y=')) {
-            const rightSide = clean.substring(2);
-            // If right side is just a number, it's a constant
-            if (/^-?\d+\.?\d*$/.test(rightSide)) {
-                return 'constant_y';
+        const end = reader.end ?? source.length;
+        let depth = 0;
+        let i = reader.index;
+        while (/\s/.test(source[i] || '')) i++;
+        for (const first = i; i < end; i++) {
+            const char = source[i];
+            if ('([{'.includes(char)) {
+                depth++;
+            } else if (')]}'.includes(char)) {
+                if (--depth < 0) break;
+            } else if (depth === 0 && i > first && '+-=<>,&'.includes(char)) {
+                break;
+            } else if (char === '\\') {
+                const command = source.slice(i + 1).match(/^([a-zA-Z]+|.?)/)[0];
+                if (depth === 0 && ['\\', 'le', 'leq', 'ge', 'geq', 'ne', 'neq', 'lt', 'gt'].includes(command)) break;
+                // \left( and \right) count through their bracket; other escapes are skipped whole
+                if (command !== 'left' && command !== 'right') i += command.length;
             }
-            return 'explicit_y';
         }
 
-        // Check for explicit y = f(x)
-        if (lower.startsWith('y=')) {
-            return 'explicit_y';
+        const term = this.readLatex({ source, gap, index: reader.index, end: i }, null);
+        reader.index = i;
+        return `${name}(${lower.trim()}, ${upper.trim()}, ${term.trim()})`;
+    }
+
+    /** The {...} argument of a command like \frac or \sqrt, converted */
+    readLatexGroup(reader, commandStart) {
+        while (/\s/.test(reader.source[reader.index] || '')) reader.index++;
+        if (reader.source[reader.index] !== '{') {
+            throw new EquationError('Expected { after a LaTeX command', {
+                code: 'missing_argument', start: commandStart, end: reader.index, source: reader.source,
+                suggestion: 'Write it like \\frac{1}{2} or \\sqrt{x}'
+            });
         }
+        reader.index++;
+        return this.readLatex(reader, '}');
+    }
 
-        // Check for explicit x = f(y)
-        if (lower.startsWith('x=')) {
-            return 'explicit_x';
+    /** Parenthesize a converted fraction part or exponent unless it is one number or name */
+    latexOperand(text, gap) {
+        const bare = text.replaceAll(gap, '').trim();
+        return /^(\d+\.?\d*|\.\d+|[a-zA-Z](_[a-zA-Z0-9]+)?|pi|tau|phi|theta)$/.test(bare) ? bare : `(${text.trim()})`;
+    }
+
+    unsupportedLatex(name, start, end, source) {
+        const greek = ['alpha', 'beta', 'gamma', 'delta', 'epsilon', 'varepsilon', 'zeta', 'eta', 'iota', 'kappa',
+            'lambda', 'mu', 'nu', 'xi', 'rho', 'sigma', 'upsilon', 'chi', 'psi', 'omega'];
+        const suggestion = greek.includes(name)
+            ? `Sliders use single letters: rename \\${name} to ${name[0]}`
+            : null;
+        return new EquationError(`LaTeX command \\${name} is not supported`, {
+            code: 'unsupported_latex', start, end, source, suggestion
+        });
+    }
+
+    // ── LaTeX export ────────────────────────────────────────────────────
+
+    /**
+     * Typeset an equation from its parse tree: stacked fractions, nested
+     * roots, log bases, piecewise cases, parametric pairs, restrictions and
+     * ranges. fromLatex reads the result back to the same equation.
+     * @throws {EquationError} When the input does not parse
+     */
+    toLatex(equationString) {
+        let source = equationString.trim();
+        if (this.looksLikeLatex(source)) source = this.fromLatex(source);
+
+        const forIndex = source.search(/\sfor\s/);
+        if (forIndex >= 0) {
+            const range = source.slice(forIndex).trim().replace(/^for\s+/, '');
+            return `${this.curveToLatex(source.slice(0, forIndex).trim())} \\text{ for } ${this.expressionToLatex(range)}`;
+        }
+
+        if (source.includes('{')) {
+            const { body, conditions } = this.splitRestrictions(source);
+            const branchHead = body.match(/^([xy])\s*=$/);
+            const curve = branchHead
+                ? `${branchHead[1]} = ${this.casesToLatex(conditions[0])}`
+                : this.curveToLatex(body);
+            const restrictions = conditions.slice(branchHead ? 1 : 0)
+                .map(condition => `\\left\\{${this.expressionToLatex(condition)}\\right\\}`);
+            return [curve, ...restrictions].join(' ');
+        }
+
+        return this.curveToLatex(source);
+    }
+
+    /** Both sides of "y = ...", "x^2 + y^2 = 9" or "f(x) = ...", or a parametric pair */
+    curveToLatex(source) {
+        const parts = this.splitParametric(source);
+        if (parts.length === 2) {
+            const [x, y] = parts.map(part => this.expressionToLatex(part.replace(/^\s*[xy](\(t\))?\s*=/, '')));
+            return `\\left(${x}, ${y}\\right)`;
+        }
+        return this.splitEquals(source).map(side => this.expressionToLatex(side)).join(' = ');
+    }
+
+    /** "x < 0: -x, x" as a cases block; a branch without a condition is "otherwise" */
+    casesToLatex(source) {
+        const rows = this.splitTopLevel(source, ',').map(part => {
+            const colon = this.splitTopLevel(part, ':').length > 1 ? part.indexOf(':') : -1;
+            const value = this.expressionToLatex(part.slice(colon + 1));
+            const condition = colon >= 0 ? this.expressionToLatex(part.slice(0, colon)) : '\\text{otherwise}';
+            return `${value} & ${condition}`;
+        });
+        return `\\begin{cases} ${rows.join(' \\\\ ')} \\end{cases}`;
+    }
+
+    expressionToLatex(source) {
+        return this.latexFormatter.format(this.parseExpression(source.trim()));
+    }
+
+    // ── slider parameters ───────────────────────────────────────────────
+
+    /**
+     * Register every unbound single-letter symbol of a parsed equation as a
+     * shared slider parameter and return the names the equation depends on.
+     */
+    bindParameters(equation) {
+        if (equation.members) {
+            return [...new Set(equation.members.flatMap(member => this.bindParameters(member)))].sort();
+        }
+
+        const { symbols } = this.collectSymbols(equation);
+        const curveVariables = { parametric: ['t'], polar: ['r'] };
+        const variables = ['x', 'y', ...(curveVariables[equation.type] || []), ...(equation.variables || [])];
+        const builtins = this.createScope();
+        const names = [...symbols].filter(name => {
+            if (!new RegExp(`^${this.namePattern}$`).test(name) || variables.includes(name)) return false;
+            if (this.definitions[name]) return false;
+            return !(name in builtins) || Boolean(this.parameters[name]);
+        });
+
+        names.forEach(name => this.ensureParameter(name));
+        return names.sort();
+    }
+
+    /** Collect the variable and function names referenced by an equation */
+    collectSymbols(equation) {
+        const symbols = new Set();
+        const functions = new Set();
+        if (equation.members) {
+            equation.members.forEach(member => {
+                const used = this.collectSymbols(member);
+                used.symbols.forEach(name => symbols.add(name));
+                used.functions.forEach(name => functions.add(name));
+            });
+            return { symbols, functions };
+        }
+
+        const isConstant = equation.type === 'constant_x' || equation.type === 'constant_y';
+        const expressions = equation.type === 'parametric'
+            ? [equation.xExpression, equation.yExpression]
+            : [isConstant ? null : equation.expression];
+        (equation.restrictions || []).forEach(restriction => expressions.push(restriction.expression));
+        if (equation.range) expressions.push(equation.range.minExpression, equation.range.maxExpression);
+
+        expressions.filter(Boolean).forEach(expression => {
+            math.parse(expression).traverse((node, path, parent) => {
+                if (!node.isSymbolNode) return;
+                if (parent && parent.isFunctionNode && path === 'fn') {
+                    functions.add(node.name);
+                } else {
+                    symbols.add(node.name);
+                }
+            });
+        });
+
+        return { symbols, functions };
+    }
+
+    ensureParameter(name) {
+        if (!this.parameters[name]) {
+            this.parameters[name] = {
+                name,
+                value: 1,
+                min: -10,
+                max: 10,
+                step: 0.1,
+                playing: false,
+                direction: 1
+            };
+            this.parameterValues[name] = 1;
         }
+        return this.parameters[name];
+    }
+
+    getParameters() {
+        return Object.values(this.parameters).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /** Update a parameter's value, range, step or play state */
+    setParameter(name, changes = {}) {
+        const parameter = this.parameters[name];
+        if (!parameter) return null;
+
+        ['value', 'min', 'max', 'step'].forEach(field => {
+            if (Number.isFinite(changes[field])) parameter[field] = changes[field];
+        });
+        if (typeof changes.playing === 'boolean') parameter.playing = changes.playing;
+
+        if (parameter.min > parameter.max) {
+            [parameter.min, parameter.max] = [parameter.max, parameter.min];
+        }
+        if (!(parameter.step > 0)) parameter.step = 0.1;
+
+        parameter.value = Math.min(parameter.max, Math.max(parameter.min, parameter.value));
+        this.parameterValues[name] = parameter.value;
+        this.evaluateDefinitions();
+        return parameter;
+    }
+
+    /**
+     * Advance playing parameters, bouncing between min and max.
+     * @returns {Array} Parameters whose value changed
+     */
+    animateParameters(seconds) {
+        const changed = [];
+
+        Object.values(this.parameters).forEach(parameter => {
+            if (!parameter.playing || parameter.max <= parameter.min) return;
+
+            const span = parameter.max - parameter.min;
+            let value = parameter.value + parameter.direction * span * seconds / this.parameterSweepSeconds;
+
+            if (value >= parameter.max) {
+                value = parameter.max - (value - parameter.max);
+                parameter.direction = -1;
+            } else if (value <= parameter.min) {
+                value = parameter.min + (parameter.min - value);
+                parameter.direction = 1;
+            }
+
+            parameter.value = Math.min(parameter.max, Math.max(parameter.min, value));
+            this.parameterValues[parameter.name] = parameter.value;
+            changed.push(parameter);
+        });
+
+        if (changed.length > 0) this.evaluateDefinitions();
+        return changed;
+    }
+
+    /** Drop parameters that no equation uses any more */
+    pruneParameters(equations) {
+        const used = new Set();
+        equations.forEach(equation => (equation.parameters || []).forEach(name => used.add(name)));
+
+        Object.keys(this.parameters).forEach(name => {
+            if (!used.has(name)) {
+                delete this.parameters[name];
+                delete this.parameterValues[name];
+            }
+        });
+    }
+
+    // ── definitions ─────────────────────────────────────────────────────
+
+    /**
+     * Recognise `f(x) = ...`, `g(a, b) = ...` and `k = ...` entries.
+     * Returns null for anything that should be plotted instead.
+     */
+    parseDefinitionHeader(equationString) {
+        const name = this.namePattern;
+        const functionMatch = equationString.match(
+            new RegExp(`^(${name})\\s*\\(\\s*(${name}(?:\\s*,\\s*${name})*)\\s*\\)\\s*=(?![=<>])\\s*(.+)$`)
+        );
+        const variableMatch = equationString.match(new RegExp(`^(${name})\\s*=(?![=<>])\\s*(.+)$`));
+
+        let header = null;
+        if (functionMatch) {
+            header = {
+                name: functionMatch[1],
+                params: functionMatch[2].split(',').map(param => param.trim()),
+                body: functionMatch[3].trim()
+            };
+        } else if (variableMatch && !/(^|[^a-zA-Z_])[xy](?![a-zA-Z_])/.test(variableMatch[2])) {
+            header = { name: variableMatch[1], params: null, body: variableMatch[2].trim() };
+        }
+
+        // x = ..., y = ..., r = ... and x(t) = ... are curves, not definitions
+        if (!header || ['x', 'y', 'r'].includes(header.name)) return null;
+
+        const nameRange = { start: 0, end: header.name.length, source: equationString };
+        if (header.name in this.createScope() && !this.parameters[header.name] && !this.definitions[header.name]) {
+            throw new EquationError(`${header.name} is a built-in name and cannot be redefined`, {
+                ...nameRange, code: 'reserved_name', suggestion: 'Pick another name, like k or f'
+            });
+        }
+        if (header.body.includes('{')) {
+            const brace = equationString.indexOf('{');
+            throw new EquationError('Definitions cannot have {restrictions}', {
+                code: 'invalid_definition', start: brace, end: equationString.length, source: equationString,
+                suggestion: 'Put the restriction on the curve that uses it'
+            });
+        }
+        if (header.params && new Set(header.params).size !== header.params.length) {
+            throw new EquationError(`${header.name} lists the same argument twice`, {
+                ...nameRange, code: 'invalid_definition', suggestion: `Give each argument its own name, like ${header.name}(a, b)`
+            });
+        }
+
+        return header;
+    }
+
+    parseDefinition(equationString, header) {
+        const expression = this.preprocessAdvancedEquation(header.body);
+        const node = math.parse(expression);
+        const compiled = node.compile();
+
+        return {
+            original: equationString,
+            expression: expression,
+            compiled: compiled,
+            parser: this,
+            color: this.definitionColor,
+            type: 'definition',
+            kind: header.params ? 'function' : 'variable',
+            name: header.name,
+            variables: header.params || [],
+            evaluator: header.params ? this.compileFunction(node, header.params) : null
+        };
+    }
+
+    /**
+     * Rebuild the definition layer from the equation list.
+     * Throws on duplicate names or circular definitions and leaves the
+     * previous definitions untouched in that case.
+     */
+    updateDefinitions(equations) {
+        const definitions = {};
+
+        equations.forEach(equation => {
+            if (equation.type !== 'definition') return;
+            if (definitions[equation.name]) {
+                throw new EquationError(`${equation.name} is already defined`, {
+                    ...this.getNameRange(equation), code: 'duplicate_definition',
+                    suggestion: `Rename one of them, or edit the first ${equation.name} instead`
+                });
+            }
+            definitions[equation.name] = equation;
+        });
+
+        const order = this.orderDefinitions(definitions);
+        this.definitions = definitions;
+        this.definitionOrder = order;
+        this.evaluateDefinitions();
+    }
+
+    /**
+     * Topologically sort definitions so each one follows what it uses. A
+     * cycle is blamed on its member entered last, usually the one just typed.
+     */
+    orderDefinitions(definitions) {
+        const order = [];
+        const state = {};
+        const stack = [];
+        const names = Object.keys(definitions);
+
+        const visit = (name) => {
+            if (state[name] === 'done') return;
+            if (state[name] === 'visiting') {
+                const cycle = stack.slice(stack.indexOf(name)).concat(name);
+                const blamed = cycle.reduce((last, member) => names.indexOf(member) > names.indexOf(last) ? member : last);
+                const used = cycle[cycle.indexOf(blamed) + 1];
+                throw new EquationError(`Circular definition: ${cycle.join(' → ')}`, {
+                    ...this.getNameRange(definitions[blamed]), code: 'circular_definition',
+                    suggestion: `Remove the reference to ${used} from ${blamed}`
+                });
+            }
+
+            state[name] = 'visiting';
+            stack.push(name);
+            this.getDefinitionDependencies(definitions[name], definitions).forEach(visit);
+            stack.pop();
+            state[name] = 'done';
+            order.push(name);
+        };
+
+        Object.keys(definitions).forEach(visit);
+        return order;
+    }
+
+    /** Where a definition's name sits in its entry, for underlining */
+    getNameRange(definition) {
+        const start = definition.original.indexOf(definition.name);
+        return { start, end: start + definition.name.length, source: definition.original };
+    }
+
+    getDefinitionDependencies(definition, definitions = this.definitions) {
+        const { symbols, functions } = this.collectSymbols(definition);
+        return [...symbols, ...functions].filter(name =>
+            definitions[name] && !definition.variables.includes(name)
+        );
+    }
+
+    /** Recompute variable values and function closures in dependency order */
+    evaluateDefinitions() {
+        const scope = {};
+        this.definitionScope = scope;
+
+        this.definitionOrder.forEach(name => {
+            const definition = this.definitions[name];
+
+            if (definition.kind === 'function') {
+                scope[name] = definition.evaluator;
+                return;
+            }
+
+            try {
+                scope[name] = definition.compiled.evaluate(this.createScope());
+            } catch (error) {
+                scope[name] = NaN;
+            }
+        });
+    }
+
+    /** Indices of entries that mention any of the given names */
+    findDependents(equations, names) {
+        const wanted = names.filter(Boolean);
+        const dependents = [];
+
+        equations.forEach((equation, index) => {
+            const { symbols, functions } = this.collectSymbols(equation);
+            if (wanted.some(name => symbols.has(name) || functions.has(name))) {
+                dependents.push(index);
+            }
+        });
+
+        return dependents;
+    }
+
+    /**
+     * Entries whose curves move when any of the given names change, either
+     * directly or through definitions that use them (k = 2a moves y = kx
+     * when a does). Each entry's names are collected once and cached.
+     * @returns {Array} The affected entries themselves, not their indices
+     */
+    findAffected(equations, names) {
+        const changed = new Set(names.filter(Boolean));
+        const mentions = (equation) => {
+            if (!this.usedNames.has(equation)) {
+                const { symbols, functions } = this.collectSymbols(equation);
+                this.usedNames.set(equation, [...symbols, ...functions]);
+            }
+            return this.usedNames.get(equation).some(name => changed.has(name));
+        };
+
+        let affected = [];
+        for (let size = -1; size !== changed.size;) {
+            size = changed.size;
+            affected = equations.filter(mentions);
+            affected.forEach(equation => {
+                if (equation.type === 'definition') changed.add(equation.name);
+            });
+        }
+        return affected;
+    }
+
+    /** Parse an entry again from its source, keeping its colour, bounce and surface side */
+    reparseEquation(equation, type = equation.typeOverride) {
+        const colorIndex = this.colorIndex;
+        const reparsed = this.parseEquation(equation.original, { type });
+        this.colorIndex = colorIndex;
+        this.setColor(reparsed, equation.color);
+        reparsed.restitution = equation.restitution;
+        reparsed.surface = equation.surface;
+        return reparsed;
+    }
+
+    /**
+     * Classify an equation by the free variables on each side of its
+     * relation: "y = max(x, t)" is explicit in x whatever its commas say,
+     * and "x = x*y" is implicit because x appears on both sides.
+     */
+    detectEquationType(equation) {
+        const clean = equation.trim();
+        const undetermined = () => new EquationError('Cannot determine equation type', {
+            code: 'unknown_type',
+            suggestion: 'Start with y =, x = or r =, or write an equation using both x and y'
+        });
+
+        // Two top-level parts: "(cos(t), sin(t))" or "x = cos(t), y = sin(t)"
+        if (this.splitParametric(clean).length > 1) return 'parametric';
+
+        const sides = this.splitEquals(clean);
+        if (sides.length > 2) return 'implicit'; // parseImplicit reports the extra "="
 
-        // Check for implicit equations (contains both x and y, with = sign)
-        if (clean.includes('=') && clean.includes('x') && clean.includes('y')) {
-            return 'implicit';
+        if (sides.length === 1) {
+            const tree = this.parseExpression(clean);
+            if (this.isRelation(tree)) return 'inequality';
+
+            const variables = this.getFreeVariables(tree);
+            if (variables.has('x') && !variables.has('y')) return 'explicit_y';
+            throw undetermined();
         }
 
-        // Default to explicit y if only contains x
-        if (clean.includes('x') && !clean.includes('y')) {
-            return 'explicit_y';
+        const left = this.withinPiece(sides[0], 0, clean, () => this.parseExpression(sides[0]));
+        const right = this.withinPiece(sides[1], sides[0].length + 1, clean, () => this.parseExpression(sides[1]));
+        const leftName = left.isSymbolNode ? left.name : null;
+        const leftVariables = this.getFreeVariables(left);
+        const rightVariables = this.getFreeVariables(right);
+        const usesPlane = (variables) => variables.has('x') || variables.has('y');
+        const isNumber = /^-?\d+\.?\d*$/.test(sides[1].replace(/\s/g, ''));
+
+        if (leftName === 'r' && !usesPlane(rightVariables)) return 'polar';
+        if (leftName === 'y' && !rightVariables.has('y')) return isNumber ? 'constant_y' : 'explicit_y';
+        if (leftName === 'x' && !rightVariables.has('x')) return isNumber ? 'constant_x' : 'explicit_x';
+        if (usesPlane(leftVariables) || usesPlane(rightVariables)) return 'implicit';
+        throw undetermined();
+    }
+
+    /** Split at top-level "=" signs, leaving <=, >=, == and != alone */
+    splitEquals(source) {
+        const parts = [];
+        let depth = 0;
+        let start = 0;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if ('([{'.includes(char)) depth++;
+            else if (')]}'.includes(char)) depth--;
+            else if (char === '=' && depth === 0 && !'<>=!'.includes(source[i - 1]) && source[i + 1] !== '=') {
+                parts.push(source.slice(start, i));
+                start = i + 1;
+            }
         }
+        parts.push(source.slice(start));
+        return parts;
+    }
+
+    /** Names an expression reads, leaving out the functions it calls */
+    getFreeVariables(node) {
+        const names = new Set();
+        node.traverse((child, path) => {
+            if (child.isSymbolNode && path !== 'fn') names.add(child.name);
+        });
+        return names;
+    }
 
-        throw new Error('Cannot determine equation type');
+    isRelation(node) {
+        const content = node.isParenthesisNode ? node.content : node;
+        return content.isRelationalNode ||
+            (content.isOperatorNode && Object.values(this.expressionParser.relations).includes(content.fn));
     }
 
     parseExplicitY(equationString) {
@@ -182,7 +1133,7 @@ class EquationParser {
 
         // Test evaluation
         try {
-            const testResult = compiled.evaluate(this.createScope({ x: 0 }));
+            compiled.evaluate(this.createScope({ x: 0 }));
         } catch (e) {
             // Some functions may not work at x=0, that's ok
         }
@@ -194,9 +1145,11 @@ class EquationParser {
             parser: this,
             color: this.getNextColor(),
             type: 'explicit_y',
+            evaluator: this.compileFunction(expr, ['x']),
+            derivatives: this.getDerivatives(expr, 'x'),
             evaluate: function (x) {
                 try {
-                    return this.compiled.evaluate(this.parser.createScope({ x: x }));
+                    return this.evaluator(x);
                 } catch (error) {
                     return NaN;
                 }
@@ -234,9 +1187,11 @@ class EquationParser {
             parser: this,
             color: this.getNextColor(),
             type: 'explicit_x',
+            evaluator: this.compileFunction(expr, ['y']),
+            derivatives: this.getDerivatives(expr, 'y'),
             evaluate: function (y) {
                 try {
-                    return this.compiled.evaluate(this.parser.createScope({ y: y }));
+                    return this.evaluator(y);
                 } catch (error) {
                     return NaN;
                 }
@@ -258,16 +1213,21 @@ class EquationParser {
         let cleanEquation = equationString.trim();
 
         // Extract the constant value
-        const value = parseFloat(cleanEquation.substring(cleanEquation.indexOf('=') + 1).trim());
+        const valueStart = cleanEquation.indexOf('=') + 1;
+        const value = parseFloat(cleanEquation.substring(valueStart).trim());
 
         if (isNaN(value)) {
-            throw new Error('Invalid constant value');
+            throw new EquationError('Invalid constant value', {
+                code: 'invalid_value', start: valueStart, end: cleanEquation.length, source: cleanEquation,
+                suggestion: 'Give a number, like y = 3'
+            });
         }
 
         return {
             original: equationString,
             expression: `x = ${value}`,
             value: value,
+            parser: this,
             color: this.getNextColor(),
             type: 'constant_x',
             evaluate: function (y) {
@@ -287,16 +1247,21 @@ class EquationParser {
         let cleanEquation = equationString.trim();
 
         // Extract the constant value
-        const value = parseFloat(cleanEquation.substring(cleanEquation.indexOf('=') + 1).trim());
+        const valueStart = cleanEquation.indexOf('=') + 1;
+        const value = parseFloat(cleanEquation.substring(valueStart).trim());
 
         if (isNaN(value)) {
-            throw new Error('Invalid constant value');
+            throw new EquationError('Invalid constant value', {
+                code: 'invalid_value', start: valueStart, end: cleanEquation.length, source: cleanEquation,
+                suggestion: 'Give a number, like y = 3'
+            });
         }
 
         return {
             original: equationString,
             expression: `y = ${value}`,
             value: value,
+            parser: this,
             color: this.getNextColor(),
             type: 'constant_y',
             evaluate: function (x) {
@@ -315,10 +1280,14 @@ class EquationParser {
     parseImplicit(equationString) {
         let cleanEquation = equationString.trim();
 
-        // Split by = sign
-        const parts = cleanEquation.split('=');
+        // Split by the = sign outside brackets, leaving sum(n=1, ...) whole
+        const parts = this.splitEquals(cleanEquation);
         if (parts.length !== 2) {
-            throw new Error('Implicit equation must have exactly one = sign');
+            const extra = parts.length > 2 ? parts[0].length + parts[1].length + 1 : -1;
+            throw new EquationError('Implicit equation must have exactly one = sign', {
+                code: 'too_many_equals', start: extra, end: extra + 1, source: cleanEquation,
+                suggestion: 'Split it into separate equations'
+            });
         }
 
         let leftSide = this.preprocessAdvancedEquation(parts[0].trim());
@@ -329,16 +1298,18 @@ class EquationParser {
         const expr = math.parse(expression);
         const compiled = expr.compile();
 
-        return {
+        const equation = {
             original: equationString,
             expression: expression,
             compiled: compiled,
             parser: this,
             color: this.getNextColor(),
             type: 'implicit',
+            evaluator: this.compileFunction(expr, ['x', 'y']),
+            partials: this.getPartials(expr),
             evaluate: function (x, y) {
                 try {
-                    return this.compiled.evaluate(this.parser.createScope({ x: x, y: y }));
+                    return this.evaluator(x, y);
                 } catch (error) {
                     return NaN;
                 }
@@ -406,6 +1377,10 @@ class EquationParser {
                 return null;
             }
         };
+
+        // Lines, conics and other curves solvable for y or x get smooth analytic tracks
+        equation.tracks = this.solveImplicit(expr);
+        return equation;
     }
 
     parsePolar(equationString) {
@@ -416,8 +1391,6 @@ class EquationParser {
             cleanEquation = cleanEquation.substring(cleanEquation.indexOf('=') + 1).trim();
         }
 
-        // Replace theta symbols
-        cleanEquation = cleanEquation.replace(/θ/g, 'theta');
         cleanEquation = this.preprocessAdvancedEquation(cleanEquation);
 
         const expr = math.parse(cleanEquation);
@@ -430,16 +1403,24 @@ class EquationParser {
             parser: this,
             color: this.getNextColor(),
             type: 'polar',
+            range: null,
+            evaluator: this.compileFunction(expr, ['theta']),
+            derivatives: this.getDerivatives(expr, 'theta'),
             evaluate: function (theta) {
                 try {
-                    return this.compiled.evaluate(this.parser.createScope({ theta: theta }));
+                    return this.evaluator(theta);
                 } catch (error) {
                     return NaN;
                 }
             },
-            getPoints: function (thetaMin = 0, thetaMax = 4 * Math.PI, step = 0.02) {
+            getRange: function () {
+                return this.parser.resolveRange(this);
+            },
+            getPoints: function (thetaMin = this.getRange().min, thetaMax = this.getRange().max, step = 0.02) {
                 const points = [];
-                for (let theta = thetaMin; theta <= thetaMax; theta += step) {
+                const count = Math.max(1, Math.ceil((thetaMax - thetaMin) / step));
+                for (let i = 0; i <= count; i++) {
+                    const theta = thetaMin + (thetaMax - thetaMin) * i / count;
                     const r = this.evaluate(theta);
                     if (!isNaN(r) && isFinite(r)) {
                         // Convert polar to Cartesian
@@ -455,14 +1436,38 @@ class EquationParser {
         };
     }
 
-    parseParametric(equationString) {
-        let cleanEquation = equationString.trim();
+    /** The top-level comma (or semicolon) separated parts of a parametric pair */
+    splitParametric(source) {
+        // "(cos(t), sin(t))" is shorthand for "x = cos(t), y = sin(t)"
+        const pair = source.match(/^\((.*)\)$/);
+        if (pair && this.splitTopLevel(pair[1], ',').length === 2) {
+            source = pair[1];
+        }
+
+        const parts = this.splitTopLevel(source, ',');
+        return parts.length > 1 ? parts : this.splitTopLevel(source, ';');
+    }
 
-        // Split by comma or semicolon
-        let parts = cleanEquation.split(/[,;]/);
+    parseParametric(equationString) {
+        const parts = this.splitParametric(equationString.trim());
+
+        // "y = x," splits into a curve and nothing; point at the stray separator
+        const blank = parts.findIndex(part => part.trim() === '');
+        if (parts.length === 2 && blank >= 0) {
+            const source = equationString.trim();
+            const separator = source.includes(',') ? ',' : ';';
+            const at = blank === 0 ? source.indexOf(separator) : source.lastIndexOf(separator);
+            throw new EquationError(`Unexpected "${separator}"`, {
+                code: 'unexpected_token', start: at, end: at + 1, source,
+                suggestion: 'Remove it, or give both parts like x = cos(t), y = sin(t)'
+            });
+        }
 
         if (parts.length !== 2) {
-            throw new Error('Parametric equation must have two parts: x = f(t), y = g(t)');
+            throw new EquationError('Parametric equation must have two parts', {
+                code: 'invalid_parametric',
+                suggestion: 'Write it like (cos(t), sin(t)) or x = cos(t), y = sin(t)'
+            });
         }
 
         let xPart = parts[0].trim();
@@ -495,23 +1500,33 @@ class EquationParser {
             parser: this,
             color: this.getNextColor(),
             type: 'parametric',
+            range: null,
+            xEvaluator: this.compileFunction(xExpr, ['t']),
+            yEvaluator: this.compileFunction(yExpr, ['t']),
+            xDerivatives: this.getDerivatives(xExpr, 't'),
+            yDerivatives: this.getDerivatives(yExpr, 't'),
             evaluateX: function (t) {
                 try {
-                    return this.xCompiled.evaluate(this.parser.createScope({ t: t }));
+                    return this.xEvaluator(t);
                 } catch (error) {
                     return NaN;
                 }
             },
             evaluateY: function (t) {
                 try {
-                    return this.yCompiled.evaluate(this.parser.createScope({ t: t }));
+                    return this.yEvaluator(t);
                 } catch (error) {
                     return NaN;
                 }
             },
-            getPoints: function (tMin = 0, tMax = 2 * Math.PI, step = 0.02) {
+            getRange: function () {
+                return this.parser.resolveRange(this);
+            },
+            getPoints: function (tMin = this.getRange().min, tMax = this.getRange().max, step = 0.02) {
                 const points = [];
-                for (let t = tMin; t <= tMax; t += step) {
+                const count = Math.max(1, Math.ceil((tMax - tMin) / step));
+                for (let i = 0; i <= count; i++) {
+                    const t = tMin + (tMax - tMin) * i / count;
                     const x = this.evaluateX(t);
                     const y = this.evaluateY(t);
                     if (!isNaN(x) && !isNaN(y) && isFinite(x) && isFinite(y)) {
@@ -523,6 +1538,20 @@ class EquationParser {
         };
     }
 
+    /**
+     * The edge where an inequality's sides meet, as an ordinary track:
+     * y < x^2 is solid below the curve y = x^2. Null when the edge is not
+     * a curve the parser can plot, which leaves the region decorative.
+     */
+    parseBoundary(leftSide, rightSide) {
+        const source = `${leftSide} = ${rightSide}`;
+        try {
+            return this.createTrack(this.detectEquationType(source), source);
+        } catch (error) {
+            return null;
+        }
+    }
+
     parseInequality(equationString) {
         let cleanEquation = equationString.trim();
 
@@ -545,7 +1574,18 @@ class EquationParser {
         }
 
         if (parts.length !== 2) {
-            throw new Error('Invalid inequality format');
+            // == and != parse as comparisons but bound no region
+            const comparison = cleanEquation.match(/==|!=/);
+            if (comparison) {
+                throw new EquationError(`Unexpected "${comparison[0]}"`, {
+                    code: 'unexpected_token', start: comparison.index, end: comparison.index + 2, source: cleanEquation,
+                    suggestion: comparison[0] === '==' ? 'Use a single = for a curve, like y = x' : 'Regions need <, >, <= or >='
+                });
+            }
+            throw new EquationError('Invalid inequality format', {
+                code: 'invalid_inequality', start: 0, end: cleanEquation.length, source: cleanEquation,
+                suggestion: 'Compare two sides, like y < x^2'
+            });
         }
 
         let leftSide = this.preprocessAdvancedEquation(parts[0].trim());
@@ -564,9 +1604,14 @@ class EquationParser {
             parser: this,
             color: this.getNextColor() + '40', // Semi-transparent for regions
             type: 'inequality',
+            // <= and >= regions are hard to the touch; strict < and > give way a little
+            strict: operator === '<' || operator === '>',
+            boundary: this.parseBoundary(leftSide, rightSide),
+            partials: this.getPartials(expr),
+            evaluator: this.compileFunction(expr, ['x', 'y']),
             evaluate: function (x, y) {
                 try {
-                    const diff = this.compiled.evaluate(this.parser.createScope({ x: x, y: y }));
+                    const diff = this.evaluator(x, y);
                     switch (this.operator) {
                         case '>=': return diff >= 0;
                         case '<=': return diff <= 0;
@@ -598,284 +1643,719 @@ class EquationParser {
         };
     }
 
-    parsePiecewise(equationString) {
+    parsePiecewise(equationString, hints = [], override = null) {
         try {
-            // Parse expressions like "x^2 {x > 0}" or "x^2 {0 < x < 5}"
-            const parts = equationString.split('{');
-            if (parts.length !== 2) {
-                throw new Error('Invalid piecewise format');
+            // Parse expressions like "x^2 {x > 0}", "r = theta {0 < theta < pi}"
+            // or "x^2 + y^2 = 9 {x > 0} {y < 2}"
+            const { body, conditions, offsets } = this.splitRestrictions(equationString);
+            if (!body) {
+                throw new EquationError('Restrictions need a curve before them', {
+                    code: 'missing_equation', start: 0, end: equationString.length, source: equationString,
+                    suggestion: 'Put the curve before the braces, like y = x^2 {x > 0}'
+                });
+            }
+            const compileAt = (index, compile) => this.withinPiece(conditions[index], offsets[index], equationString, compile);
+            const compileRestrictions = (from) => conditions.slice(from).map((condition, index) =>
+                compileAt(from + index, () => this.compileRestriction(condition)));
+
+            // "y = {x < 0: -x, 0 <= x < 3: x^2, 5}" defines the curve branch by branch
+            const branchHead = body.match(/^([xy])\s*=$/);
+            if (branchHead) {
+                const equation = compileAt(0, () => this.parseBranches(branchHead[1], conditions[0]));
+                const restrictions = compileRestrictions(1);
+                if (restrictions.length > 0) this.applyRestrictions(equation, restrictions);
+
+                equation.original = equationString;
+                if (equation.type === 'explicit_y') equation.type = 'piecewise';
+                return equation;
+            }
+            if (/=$/.test(body)) {
+                const start = equationString.indexOf('{');
+                throw new EquationError('Branches {cond: value, ...} only work on y = and x =', {
+                    code: 'unsupported_branches', source: equationString,
+                    start, end: equationString.indexOf('}', offsets[0] + conditions[0].length) + 1,
+                    suggestion: 'Write one restricted curve per branch, like r = 1 {theta < pi} and r = 2 {theta >= pi}'
+                });
             }
 
-            let expression = parts[0].trim();
-            if (expression.toLowerCase().startsWith('y=') || expression.toLowerCase().startsWith('y =')) {
-                expression = expression.substring(expression.indexOf('=') + 1).trim();
+            const equation = this.parseCurve(body, [...conditions, ...hints], override);
+            const restrictions = compileRestrictions(0);
+            this.applyRestrictions(equation, restrictions);
+
+            // "{0 <= theta <= 6pi}" also tells the renderer and physics how far to trace the curve
+            const parameter = this.getCurveParameter(equation);
+            if (parameter) {
+                equation.range = conditions.map(condition => this.compileRange(condition, parameter)).find(Boolean) || null;
             }
 
-            let condition = parts[1].trim().replace('}', '');
-
-            // Parse condition (supports single and double conditions like "0 < x < 5")
-            const conditions = this.parseConditions(condition);
-
-            expression = this.preprocessAdvancedEquation(expression);
-            const expr = math.parse(expression);
-            const compiled = expr.compile();
-
-            return {
-                original: equationString,
-                expression: expression,
-                compiled: compiled,
-                conditions: conditions,
-                parser: this,
-                color: this.getNextColor(),
-                type: 'piecewise',
-                evaluate: function (x) {
-                    if (this.checkConditions(x, this.conditions)) {
-                        try {
-                            return this.compiled.evaluate(this.parser.createScope({ x: x }));
-                        } catch (error) {
-                            return NaN;
-                        }
-                    }
-                    return NaN;
-                },
-                checkConditions: function (x, conditions) {
-                    return conditions.every(cond => {
-                        switch (cond.operator) {
-                            case '>': return x > cond.value;
-                            case '<': return x < cond.value;
-                            case '>=': return x >= cond.value;
-                            case '<=': return x <= cond.value;
-                            case '==': return Math.abs(x - cond.value) < 0.01;
-                            case '!=': return Math.abs(x - cond.value) >= 0.01;
-                            default: return true;
-                        }
-                    });
-                },
-                getPoints: function (xMin, xMax, step = 0.1) {
-                    const points = [];
-                    for (let x = xMin; x <= xMax; x += step) {
-                        if (this.checkConditions(x, this.conditions)) {
-                            const y = this.evaluate(x);
-                            if (!isNaN(y) && isFinite(y)) {
-                                points.push({ x, y });
-                            }
-                        }
-                    }
-                    return points;
-                }
-            };
+            equation.original = equationString;
+            if (equation.type === 'explicit_y' || equation.type === 'constant_y') {
+                equation.type = 'piecewise';
+            }
+            return equation;
         } catch (error) {
-            throw new Error(`Invalid piecewise equation: ${error.message}`);
+            throw EquationError.wrap(error, 'Invalid piecewise equation');
         }
     }
 
-    parseConditions(conditionStr) {
-        const conditions = [];
+    /**
+     * "r = 3 {0 < theta < pi}" and "r = 3 for 0 <= theta <= pi" are polar
+     * even though only the restriction or range mentions theta.
+     */
+    detectCurveType(body, hints) {
+        if (/^r\s*=/.test(body) && hints.some(hint => /theta|θ/.test(hint))) return 'polar';
+        return this.detectEquationType(body);
+    }
 
-        // Check for double inequality like "0 < x < 5" or "-2 <= x <= 2"
-        const doubleMatch = conditionStr.match(/(-?\d+\.?\d*)\s*([<>]=?)\s*([xy])\s*([<>]=?)\s*(-?\d+\.?\d*)/);
-        if (doubleMatch) {
-            const leftValue = parseFloat(doubleMatch[1]);
-            const leftOp = doubleMatch[2];
-            const variable = doubleMatch[3];
-            const rightOp = doubleMatch[4];
-            const rightValue = parseFloat(doubleMatch[5]);
-
-            // Convert to variable-centric conditions
-            // "0 < x" means x > 0
-            const invertedLeftOp = leftOp === '<' ? '>' : (leftOp === '<=' ? '>=' : (leftOp === '>' ? '<' : '<='));
-            conditions.push({ operator: invertedLeftOp, value: leftValue });
-            conditions.push({ operator: rightOp, value: rightValue });
-
-            return conditions;
-        }
-
-        // Single condition
-        const operators = ['>=', '<=', '!=', '>', '<', '=='];
-
-        for (let op of operators) {
-            if (conditionStr.includes(op)) {
-                const parts = conditionStr.split(op);
-                if (parts.length === 2) {
-                    const left = parts[0].trim();
-                    const right = parts[1].trim();
-
-                    // Determine which side is the variable
-                    if (left === 'x' || left === 'y') {
-                        conditions.push({ operator: op, value: parseFloat(right) });
-                    } else if (right === 'x' || right === 'y') {
-                        // Need to invert the operator
-                        const invertedOp = op === '<' ? '>' : (op === '<=' ? '>=' : (op === '>' ? '<' : (op === '>=' ? '<=' : op)));
-                        conditions.push({ operator: invertedOp, value: parseFloat(left) });
-                    }
-                    return conditions;
-                }
+    // ── derivatives ─────────────────────────────────────────────────────
+
+    /**
+     * Differentiate an expression along a path of variables (['x', 'x'] is
+     * the second derivative in x) and compile the result like the curve
+     * itself. Sliders and definitions are held constant. Returns null when
+     * math.js cannot differentiate it (floor, mod, a player's f(x)...), so
+     * the physics falls back to finite differences.
+     */
+    differentiate(expression, path, variables) {
+        try {
+            let node = typeof expression === 'string' ? math.parse(expression) : expression;
+            path.forEach(variable => {
+                node = math.derivative(node, variable, { simplify: false });
+            });
+            return this.compileFunction(node, variables);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /** First and second derivative of a one-variable curve, or null */
+    getDerivatives(expression, variable) {
+        const first = this.differentiate(expression, [variable], [variable]);
+        const second = first && this.differentiate(expression, [variable, variable], [variable]);
+        return second ? { first, second } : null;
+    }
+
+    /** Partial derivatives of f(x, y) for implicit gradients and curvature, or null */
+    getPartials(expression) {
+        const paths = { x: ['x'], y: ['y'], xx: ['x', 'x'], yy: ['y', 'y'], xy: ['x', 'y'] };
+        const partials = {};
+        for (const [name, path] of Object.entries(paths)) {
+            partials[name] = this.differentiate(expression, path, ['x', 'y']);
+            if (!partials[name]) return null;
+        }
+        return partials;
+    }
+
+    // ── solving implicit equations ──────────────────────────────────────
+
+    /**
+     * Rewrite f(x, y) = 0 as smooth analytic tracks when it is linear or
+     * quadratic in y (or x): one explicit track, a parametric ellipse, or the
+     * two ± branches of the quadratic formula. Returns null when only the
+     * grid-searched implicit curve fits.
+     */
+    solveImplicit(node) {
+        const isLinear = (coefficients) => coefficients &&
+            this.isZeroCoefficient(coefficients[2]) && !this.isZeroCoefficient(coefficients[1]);
+        const isQuadratic = (coefficients) => coefficients && !this.isZeroCoefficient(coefficients[2]);
+
+        try {
+            const inY = this.polynomialIn(node, 'y');
+            const inX = this.polynomialIn(node, 'x');
+
+            if (isLinear(inY)) return [this.createTrack('explicit_y', this.linearRoot(inY))];
+            if (isLinear(inX)) return [this.createTrack('explicit_x', this.linearRoot(inX))];
+
+            const ellipse = isQuadratic(inY) && isQuadratic(inX) ? this.solveEllipse(inY) : null;
+            if (ellipse) return [ellipse];
+
+            // Solve for whichever variable leaves fewer gaps where the square root is undefined
+            const candidates = [
+                isQuadratic(inY) && { type: 'explicit_y', coefficients: inY, across: 'x' },
+                isQuadratic(inX) && { type: 'explicit_x', coefficients: inX, across: 'y' }
+            ].filter(Boolean);
+            if (candidates.length === 0) return null;
+
+            const best = candidates.reduce((a, b) => this.countRootGaps(b) < this.countRootGaps(a) ? b : a);
+            return this.quadraticRoots(best.coefficients).map(root => this.createTrack(best.type, root));
+        } catch (error) {
+            // Anything the explicit parsers reject stays an implicit curve
+            return null;
+        }
+    }
+
+    /**
+     * Coefficients [c0, c1, c2] of node as a polynomial of degree ≤ 2 in
+     * variable, as math.js nodes (null for zero), or null if it is not one.
+     */
+    polynomialIn(node, variable) {
+        const add = (a, b) => a && b ? new math.OperatorNode('+', 'add', [a, b]) : (a || b);
+        const multiply = (a, b) => a && b ? new math.OperatorNode('*', 'multiply', [a, b]) : null;
+        const negate = (a) => a && new math.OperatorNode('-', 'unaryMinus', [a]);
+        const times = (p, q) => {
+            const product = [null, null, null, null, null];
+            p.forEach((a, i) => q.forEach((b, j) => { product[i + j] = add(product[i + j], multiply(a, b)); }));
+            return product.slice(3).every(coefficient => !coefficient) ? product.slice(0, 3) : null;
+        };
+
+        if (!this.getFreeVariables(node).has(variable)) return [node, null, null];
+        if (node.isParenthesisNode) return this.polynomialIn(node.content, variable);
+        if (node.isSymbolNode) return [null, new math.ConstantNode(1), null];
+        if (!node.isOperatorNode) return null;
+
+        const [first, second] = node.args.map(arg => this.polynomialIn(arg, variable));
+        if (!first || (node.args.length > 1 && !second)) return null;
+
+        switch (node.fn) {
+            case 'unaryPlus':
+                return first;
+            case 'unaryMinus':
+                return first.map(negate);
+            case 'add':
+                return first.map((a, i) => add(a, second[i]));
+            case 'subtract':
+                return first.map((a, i) => add(a, negate(second[i])));
+            case 'multiply':
+                return times(first, second);
+            case 'divide':
+                // Only division by something free of the variable keeps a polynomial
+                if (second[1] || second[2]) return null;
+                return first.map(a => a && new math.OperatorNode('/', 'divide', [a, node.args[1]]));
+            case 'pow': {
+                const exponent = this.constantValue(node.args[1]);
+                if (exponent === 1) return first;
+                if (exponent === 2) return times(first, first);
+                return null;
             }
+            default:
+                return null;
+        }
+    }
+
+    /** The value of a node that uses no variables or sliders, else null */
+    constantValue(node) {
+        if (!node) return 0;
+        const constants = ['pi', 'tau', 'phi', 'e'];
+        if ([...this.getFreeVariables(node)].some(name => !constants.includes(name))) return null;
+        try {
+            const value = node.compile().evaluate(this.createScope());
+            return typeof value === 'number' ? value : null;
+        } catch (error) {
+            return null;
         }
+    }
 
-        throw new Error('Invalid condition format');
-    }
-
-    preprocessEquation(equation) {
-        // Handle Unicode and special characters first
-        equation = equation.replace(/π/g, 'pi');
-        equation = equation.replace(/θ/g, 'theta');
-        equation = equation.replace(/√/g, 'sqrt');
-        equation = equation.replace(/∞/g, 'Infinity');
-
-        // Handle absolute value notation
-        equation = equation.replace(/\|([^|]+)\|/g, 'abs($1)');
-
-        // Handle ln -> log conversion (math.js uses log for natural log)
-        equation = equation.replace(/\bln\b/g, 'log');
-
-        // Handle arc function names -> a-prefix
-        equation = equation.replace(/\barcsin\b/gi, 'asin');
-        equation = equation.replace(/\barccos\b/gi, 'acos');
-        equation = equation.replace(/\barctan\b/gi, 'atan');
-        equation = equation.replace(/\barcsec\b/gi, 'asec');
-        equation = equation.replace(/\barccsc\b/gi, 'acsc');
-        equation = equation.replace(/\barccot\b/gi, 'acot');
-
-        // CRITICAL FIX: Handle function names followed directly by variable (sinx -> sin(x))
-        // This must happen BEFORE implicit multiplication
-        const funcPattern = /\b(sin|cos|tan|sec|csc|cot|sinh|cosh|tanh|sech|csch|coth|asin|acos|atan|asec|acsc|acot|asinh|acosh|atanh|sqrt|cbrt|abs|log|exp|floor|ceil|round|sign)([a-zA-Z])/gi;
-        equation = equation.replace(funcPattern, '$1($2)');
-
-        // Handle function names followed by number (sin2 -> sin(2))
-        const funcNumPattern = /\b(sin|cos|tan|sec|csc|cot|sinh|cosh|tanh|sech|csch|coth|asin|acos|atan|asec|acsc|acot|asinh|acosh|atanh|sqrt|cbrt|abs|log|exp|floor|ceil|round|sign)(\d)/gi;
-        equation = equation.replace(funcNumPattern, '$1($2)');
-
-        // Handle e^x specially (only standalone e not part of other words)
-        equation = equation.replace(/\be\^/g, 'exp(');
-        // Need to find matching close for exp(
-        // Simple approach: if we added exp(, we need a closing paren
-        // This is tricky, let's use a simpler approach
-        equation = equation.replace(/exp\(([^()]+)\)/g, 'exp($1)');
-        // Handle remaining exp( without closing - add closing at end of number/variable sequence
-        equation = equation.replace(/exp\(([a-zA-Z0-9\.\+\-\*\/\^]+)(?!\))/g, 'exp($1)');
-
-        // Handle implicit multiplication between number and variable: 2x -> 2*x
-        // But NOT inside function names
-        equation = equation.replace(/(\d)([a-zA-Z])/g, (match, num, letter, offset, str) => {
-            // Check if this is part of a function name by looking ahead
-            const remaining = str.substring(offset + match.length);
-            const funcNames = ['sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'sinh', 'cosh', 'tanh',
-                'asin', 'acos', 'atan', 'sqrt', 'cbrt', 'abs', 'log', 'exp',
-                'floor', 'ceil', 'round', 'sign', 'pi', 'theta'];
-
-            // Check if letter + remaining forms a function
-            for (const fn of funcNames) {
-                if ((letter + remaining).toLowerCase().startsWith(fn.substring(1))) {
-                    return num + '*' + letter;
-                }
+    /** Whether a coefficient vanishes, checked at a few points for inputs like y - y */
+    isZeroCoefficient(node) {
+        if (!node) return true;
+        const compiled = node.compile();
+        return [-3.7, 0.3, 2.9].every(value => {
+            try {
+                return compiled.evaluate(this.createScope({ x: value, y: value })) === 0;
+            } catch (error) {
+                return false;
             }
-            return num + '*' + letter;
         });
+    }
 
-        // Handle implicit multiplication: )( -> )*(
-        equation = equation.replace(/\)\(/g, ')*(');
-
-        // Handle implicit multiplication: )x -> )*x
-        equation = equation.replace(/\)([a-zA-Z])/g, ')*$1');
-
-        // Handle implicit multiplication: x( -> x*( but NOT for functions
-        // This needs care to not break function calls
-        equation = equation.replace(/([a-zA-Z])(\()/g, (match, letter, paren, offset, str) => {
-            // Look backwards to see if this is a function name
-            const before = str.substring(0, offset + 1);
-            const funcNames = ['sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'sinh', 'cosh', 'tanh',
-                'sech', 'csch', 'coth', 'asin', 'acos', 'atan', 'asec', 'acsc', 'acot',
-                'asinh', 'acosh', 'atanh', 'sqrt', 'cbrt', 'abs', 'log', 'exp',
-                'floor', 'ceil', 'round', 'sign', 'mod'];
-
-            for (const fn of funcNames) {
-                if (before.toLowerCase().endsWith(fn)) {
-                    return match; // Keep as is - it's a function call
-                }
+    coefficientSource(node) {
+        return node ? `(${node.toString()})` : '0';
+    }
+
+    linearRoot([c0, c1]) {
+        return `-${this.coefficientSource(c0)} / ${this.coefficientSource(c1)}`;
+    }
+
+    /** The + and - branches of the quadratic formula */
+    quadraticRoots([c, b, a]) {
+        const [cs, bs, as] = [c, b, a].map(node => this.coefficientSource(node));
+        const root = `sqrt(${bs}^2 - 4 * ${as} * ${cs})`;
+        return [`(-${bs} + ${root}) / (2 * ${as})`, `(-${bs} - ${root}) / (2 * ${as})`];
+    }
+
+    /** How often the discriminant changes sign across the board, i.e. how many branch ends there are */
+    countRootGaps({ coefficients: [c, b, a], across }) {
+        const discriminant = math.parse(`${this.coefficientSource(b)}^2 - 4 * ${this.coefficientSource(a)} * ${this.coefficientSource(c)}`).compile();
+        let gaps = 0;
+        let previous = null;
+
+        for (let i = 0; i <= 80; i++) {
+            const value = -10 + i / 4;
+            let real;
+            try {
+                real = discriminant.evaluate(this.createScope({ [across]: value })) >= 0;
+            } catch (error) {
+                real = false;
             }
-            return letter + '*' + paren;
-        });
+            if (previous !== null && real !== previous) gaps++;
+            previous = real;
+        }
+        return gaps;
+    }
 
-        // Handle 2(x) -> 2*(x)
-        equation = equation.replace(/(\d)(\()/g, '$1*$2');
+    /**
+     * A·x² + B·xy + C·y² + D·x + E·y + F = 0 with constant A, B, C and
+     * B² < 4AC is an ellipse; trace it as a parametric curve around its
+     * centre. D, E and F may use sliders, so the centre and size follow them.
+     */
+    solveEllipse([yFree, yLinear, yQuadratic]) {
+        const free = this.polynomialIn(yFree || new math.ConstantNode(0), 'x');
+        const linear = this.polynomialIn(yLinear || new math.ConstantNode(0), 'x');
+        const quadratic = this.polynomialIn(yQuadratic, 'x');
+        if (!free || !linear || !quadratic || !this.isZeroCoefficient(linear[2]) ||
+            !this.isZeroCoefficient(quadratic[1]) || !this.isZeroCoefficient(quadratic[2])) {
+            return null;
+        }
 
-        // Handle )(5) -> )*(5)
-        equation = equation.replace(/\)(\d)/g, ')*$1');
+        const [A, B, C] = [free[2], linear[1], quadratic[0]].map(node => this.constantValue(node));
+        if ([A, B, C].some(value => value === null) || B * B - 4 * A * C >= 0) return null;
+
+        const number = (value) => `(${+value.toFixed(12)})`;
+        const [D, E, F] = [free[1], linear[0], free[0]].map(node => this.coefficientSource(node));
+        const determinant = number(4 * A * C - B * B);
+        const x0 = `(${number(B)} * ${E} - ${number(2 * C)} * ${D}) / ${determinant}`;
+        const y0 = `(${number(B)} * ${D} - ${number(2 * A)} * ${E}) / ${determinant}`;
+        const level = `-(${F} + (${D} * ${x0} + ${E} * ${y0}) / 2)`;
+
+        // Principal axes of the quadratic form [[A, B/2], [B/2, C]]
+        const halfTrace = (A + C) / 2;
+        const spread = Math.hypot((A - C) / 2, B / 2);
+        const angle = Math.atan2(B, A - C) / 2;
+        const major = `sqrt(${level} / ${number(halfTrace + spread)})`;
+        const minor = `sqrt(${level} / ${number(halfTrace - spread)})`;
+        const [cos, sin] = [Math.cos(angle), Math.sin(angle)].map(number);
+
+        const track = this.createTrack('parametric',
+            `x = ${x0} + ${major} * ${cos} * cos(t) - ${minor} * ${sin} * sin(t), ` +
+            `y = ${y0} + ${major} * ${sin} * cos(t) + ${minor} * ${cos} * sin(t)`);
+        track.range = this.compileRange('0 <= t <= 2pi', 't');
+        return track;
+    }
 
-        // Handle x2 -> x*2 (but be careful with function names)
-        equation = equation.replace(/\b([xyt])(\d)/gi, '$1*$2');
+    /** Build a track with the ordinary parsers without using up a curve colour */
+    createTrack(type, source) {
+        const colorIndex = this.colorIndex;
+        const track = this.parseByType(source, type);
+        this.colorIndex = colorIndex;
+        return track;
+    }
 
-        // Clean up any double multiplication signs
-        equation = equation.replace(/\*\*/g, '^');
-        equation = equation.replace(/\*\*/g, '*');
+    // ── parameter ranges ────────────────────────────────────────────────
+
+    /** Parse "(t, t^2/4) for 0 <= t <= 8" or "r = theta/2 for 0 <= theta <= 6pi" */
+    parseRanged(equationString, override = null) {
+        const index = equationString.search(/\sfor\s/);
+        const body = equationString.slice(0, index).trim();
+        const rangeSource = equationString.slice(index).trim().replace(/^for\s+/, '');
+        const rangeStart = equationString.trimEnd().length - rangeSource.length;
+
+        const equation = body.includes('{')
+            ? this.parsePiecewise(body, [rangeSource], override)
+            : this.parseCurve(body, [rangeSource], override);
+
+        const parameter = this.getCurveParameter(equation);
+        const rangeError = { code: 'invalid_range', start: rangeStart, end: rangeStart + rangeSource.length, source: equationString };
+        if (!parameter) {
+            throw new EquationError('A "for" range only applies to parametric and polar curves', {
+                ...rangeError, suggestion: 'Use {…} restrictions on other curves, like y = x {0 <= x <= 8}'
+            });
+        }
 
+        equation.range = this.withinPiece(rangeSource, rangeStart, equationString, () => this.compileRange(rangeSource, parameter));
+        if (!equation.range) {
+            throw new EquationError('Invalid range', { ...rangeError, suggestion: `Write the range like 0 <= ${parameter} <= 8` });
+        }
+
+        equation.original = equationString;
         return equation;
     }
 
-    preprocessAdvancedEquation(equation) {
-        const functionNames = this.mathFunctions
-            .filter(name => name !== 'log')
-            .concat(['logBase', 'naturalLog'])
-            .sort((a, b) => b.length - a.length);
-        const functionAlternates = functionNames.join('|');
-
-        equation = equation
-            .replace(/π/g, 'pi')
-            .replace(/θ/g, 'theta')
-            .replace(/√/g, 'sqrt')
-            .replace(/∞/g, 'Infinity')
-            .replace(/[−–—]/g, '-')
-            .replace(/[×·]/g, '*')
-            .replace(/÷/g, '/');
-
-        equation = equation.replace(/\bceiling\b/gi, 'ceil');
-        equation = equation.replace(/\bsignum\b/gi, 'sign');
-        equation = equation.replace(/\bminimum\b/gi, 'min');
-        equation = equation.replace(/\bmaximum\b/gi, 'max');
-
-        equation = equation.replace(/(\d+(?:\.\d+)?)\s*(?:deg|°)\b/gi, '($1*pi/180)');
-
-        equation = equation.replace(/\bln\s*\(/gi, 'naturalLog(');
-        equation = equation.replace(/\blog_([a-zA-Z0-9.]+)\s*\(([^()]*)\)/gi, 'logBase($2,$1)');
-        equation = equation.replace(/\blog\s*\(([^,()]+)\s*,\s*([^()]*)\)/gi, 'logBase($2,$1)');
-        equation = equation.replace(/\blog10\s*\(([^()]*)\)/gi, 'logBase($1,10)');
-        equation = equation.replace(/\blog2\s*\(([^()]*)\)/gi, 'logBase($1,2)');
-        equation = equation.replace(/\blog\s*\(([^()]*)\)/gi, 'logBase($1,10)');
-
-        equation = equation.replace(new RegExp(`\\b(${functionAlternates})([a-zA-Z])`, 'gi'), '$1($2)');
-        equation = equation.replace(new RegExp(`\\b(${functionAlternates})(\\d)`, 'gi'), '$1($2)');
-
-        equation = equation.replace(/\barcsin\b/gi, 'asin');
-        equation = equation.replace(/\barccos\b/gi, 'acos');
-        equation = equation.replace(/\barctan\b/gi, 'atan');
-        equation = equation.replace(/\barcsec\b/gi, 'asec');
-        equation = equation.replace(/\barccsc\b/gi, 'acsc');
-        equation = equation.replace(/\barccot\b/gi, 'acot');
-
-        equation = equation.replace(/\be\^/g, 'exp(');
-        equation = equation.replace(/exp\(([^()]+)\)/g, 'exp($1)');
-        equation = equation.replace(/exp\(([a-zA-Z0-9\.\+\-\*\/\^]+)(?!\))/g, 'exp($1)');
-
-        equation = equation.replace(/(\d)([a-zA-Z])/g, '$1*$2');
-        equation = equation.replace(/\)\(/g, ')*(');
-        equation = equation.replace(/\)([a-zA-Z])/g, ')*$1');
-
-        equation = equation.replace(/([a-zA-Z])(\()/g, (match, letter, paren, offset, str) => {
-            const before = str.substring(0, offset + 1).toLowerCase();
-            for (const fn of functionNames) {
-                if (before.endsWith(fn.toLowerCase())) return match;
+    getCurveParameter(equation) {
+        return { parametric: 't', polar: 'theta' }[equation.type] || null;
+    }
+
+    /**
+     * Compile "min <= t <= max" (or "max >= t >= min") into range bounds.
+     * Returns null when the source is not a range over the parameter.
+     */
+    compileRange(source, parameter) {
+        const clean = source.replace(/≤/g, '<=').replace(/≥/g, '>=').replace(/θ/g, 'theta');
+        const name = `(?<![a-zA-Z_])${parameter}(?![a-zA-Z_])`;
+        const ascending = clean.match(new RegExp(`^(.+?)<=?\\s*${name}\\s*<=?(.+)$`));
+        const descending = clean.match(new RegExp(`^(.+?)>=?\\s*${name}\\s*>=?(.+)$`));
+        const match = ascending || descending;
+        if (!match) return null;
+
+        const [minSource, maxSource] = ascending ? [match[1], match[2]] : [match[2], match[1]];
+        const minExpression = this.preprocessAdvancedEquation(minSource.trim());
+        const maxExpression = this.preprocessAdvancedEquation(maxSource.trim());
+
+        return {
+            source,
+            minExpression,
+            maxExpression,
+            minCompiled: math.parse(minExpression).compile(),
+            maxCompiled: math.parse(maxExpression).compile()
+        };
+    }
+
+    /**
+     * The parameter interval a parametric or polar curve is traced over:
+     * its explicit range when it has one, otherwise an automatic range.
+     */
+    resolveRange(equation) {
+        const scope = this.createScope();
+
+        if (equation.range) {
+            try {
+                const min = equation.range.minCompiled.evaluate(scope);
+                const max = equation.range.maxCompiled.evaluate(scope);
+                if (isFinite(min) && isFinite(max) && min < max) return { min, max };
+            } catch (error) {
+                // Fall back to the automatic range below
             }
-            return letter + '*' + paren;
+        }
+
+        // Periods can change with slider values, so the cache follows them
+        const key = JSON.stringify(this.parameterValues);
+        if (!equation.autoRange || equation.autoRange.key !== key) {
+            equation.autoRange = { key, range: this.detectAutoRange(equation) };
+        }
+        return equation.autoRange.range;
+    }
+
+    /**
+     * Closed curves get one period (2π or 4π); curves that never repeat,
+     * like spirals and parabolas, get a long sweep instead.
+     */
+    detectAutoRange(equation) {
+        const sample = equation.type === 'polar'
+            ? (value) => [equation.evaluate(value)]
+            : (value) => [equation.evaluateX(value), equation.evaluateY(value)];
+
+        const repeatsAfter = (period) => {
+            let compared = 0;
+            for (let i = 0; i < 6; i++) {
+                const value = 0.37 + 1.13 * i;
+                const start = sample(value);
+                const end = sample(value + period);
+                if (![...start, ...end].every(Number.isFinite)) continue;
+                if (start.some((v, k) => Math.abs(v - end[k]) > 1e-6 * (1 + Math.abs(v)))) return false;
+                compared++;
+            }
+            return compared > 0;
+        };
+
+        if (repeatsAfter(2 * Math.PI)) return { min: 0, max: 2 * Math.PI };
+        if (repeatsAfter(4 * Math.PI)) return { min: 0, max: 4 * Math.PI };
+        return equation.type === 'polar' ? { min: 0, max: 6 * Math.PI } : { min: -10, max: 10 };
+    }
+
+    /** Parse one "cond: value" (or trailing "value") part of a branch list */
+    parseBranch(variable, part, index, count) {
+        const colon = this.splitTopLevel(part, ':').length > 1 ? part.indexOf(':') : -1;
+        const conditionSource = colon >= 0 ? part.slice(0, colon) : null;
+        const valueSource = part.slice(colon + 1);
+        const leading = (text) => text.length - text.trimStart().length;
+
+        const branchRange = { start: 0, end: part.length, source: part };
+        if (!valueSource.trim()) {
+            throw new EquationError(`Branch ${index + 1} has no value`, {
+                ...branchRange, code: 'missing_value', suggestion: 'Add a value after the colon, like x < 0: -x'
+            });
+        }
+        if (conditionSource === null && index !== count - 1) {
+            throw new EquationError('Only the last branch can leave out its condition', {
+                ...branchRange, code: 'missing_condition', suggestion: 'Add a condition, like x < 2: x^2'
+            });
+        }
+
+        const condition = conditionSource === null ? null : this.withinPiece(
+            conditionSource.trim(), leading(conditionSource), part,
+            () => this.compileRestriction(conditionSource.trim())
+        );
+        let expression = valueSource.trim();
+        if (variable === 'x') expression = expression.replace(/\bx\b/g, 'y');
+        expression = this.withinPiece(expression, colon + 1 + leading(valueSource), part,
+            () => this.preprocessAdvancedEquation(expression));
+
+        const input = variable === 'y' ? 'x' : 'y';
+        return {
+            condition,
+            expression,
+            compiled: math.parse(expression).compile(),
+            evaluator: this.compileFunction(expression, [input]),
+            derivatives: this.getDerivatives(expression, input)
+        };
+    }
+
+    /**
+     * Parse the branches of "y = {cond: value, cond: value, default}". The
+     * first branch whose condition holds wins; without a default the curve
+     * is undefined where no condition matches.
+     */
+    parseBranches(variable, source) {
+        const input = variable === 'y' ? 'x' : 'y';
+        const parts = this.splitTopLevel(source, ',');
+        let partStart = 0;
+
+        const branches = parts.map((part, index) => {
+            const offset = partStart;
+            partStart += part.length + 1;
+            return this.withinPiece(part, offset, source, () => this.parseBranch(variable, part, index, parts.length));
         });
 
-        equation = equation.replace(/(\d)(\()/g, '$1*$2');
-        equation = equation.replace(/\)(\d)/g, ')*$1');
-        equation = equation.replace(/\b([xyt])(\d)/gi, '$1*$2');
-        equation = equation.replace(/\*\*/g, '^');
-        equation = equation.replace(/\*\*/g, '*');
+        if (!branches.some(branch => branch.condition)) {
+            throw new EquationError('A piecewise definition needs at least one condition', {
+                code: 'missing_condition', start: 0, end: source.length, source,
+                suggestion: 'Write it like {x < 0: -x, x}'
+            });
+        }
 
-        return equation;
+        // One conditional expression keeps evaluate() as cheap as a plain curve
+        const expression = branches.reduceRight((fallback, branch) => branch.condition
+            ? `(${branch.condition.expression}) ? (${branch.expression}) : (${fallback})`
+            : branch.expression, 'NaN');
+
+        return {
+            original: `${variable} = {${source}}`,
+            expression,
+            compiled: math.parse(expression).compile(),
+            branches,
+            parser: this,
+            color: this.getNextColor(),
+            type: variable === 'y' ? 'explicit_y' : 'explicit_x',
+            evaluator: this.compileFunction(expression, [input]),
+            evaluate: function (value) {
+                try {
+                    return this.evaluator(value);
+                } catch (error) {
+                    return NaN;
+                }
+            },
+            // Index of the branch that applies at a value, or -1 outside every branch
+            branchAt: function (value) {
+                const values = { [input]: value };
+                return this.branches.findIndex(branch => {
+                    if (!branch.condition) return true;
+                    try {
+                        return branch.condition.test(values) === true;
+                    } catch (error) {
+                        return false;
+                    }
+                });
+            },
+            // Evaluate one branch's formula, ignoring its condition
+            evaluateBranch: function (index, value) {
+                try {
+                    return this.branches[index].evaluator(value);
+                } catch (error) {
+                    return NaN;
+                }
+            },
+            getPoints: function (min, max, step = 0.1) {
+                const points = [];
+                for (let value = min; value <= max; value += step) {
+                    const result = this.evaluate(value);
+                    if (!isNaN(result) && isFinite(result)) {
+                        points.push(variable === 'y' ? { x: value, y: result } : { x: result, y: value });
+                    }
+                }
+                return points;
+            }
+        };
+    }
+
+    /** Split on a separator that is not nested inside (), [] or {} */
+    splitTopLevel(source, separator) {
+        const parts = [];
+        let depth = 0;
+        let current = '';
+
+        for (const char of source) {
+            if ('([{'.includes(char)) depth++;
+            if (')]}'.includes(char)) depth--;
+
+            if (char === separator && depth === 0) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        parts.push(current);
+        return parts;
+    }
+
+    /** Split "body {c1} {c2}" into the body, its trailing brace groups and where each group starts */
+    splitRestrictions(equationString) {
+        const start = equationString.indexOf('{');
+        const body = equationString.slice(0, start).trim();
+        const conditions = [];
+        const offsets = [];
+        let depth = 0;
+        let current = '';
+        let opened = start;
+        const braceError = (message, at, suggestion) => new EquationError(message, {
+            code: 'unbalanced_brace', start: at, end: at + 1, source: equationString, suggestion
+        });
+
+        for (let i = start; i < equationString.length; i++) {
+            const char = equationString[i];
+            if (char === '{') {
+                if (depth > 0) current += char;
+                else opened = i;
+                depth++;
+            } else if (char === '}') {
+                depth--;
+                if (depth < 0) throw braceError('Unbalanced } in restriction', i, 'Remove this } or add a matching {');
+                if (depth === 0) {
+                    conditions.push(current.trim());
+                    offsets.push(opened + 1 + current.length - current.trimStart().length);
+                    current = '';
+                } else {
+                    current += char;
+                }
+            } else if (depth > 0) {
+                current += char;
+            } else if (char.trim()) {
+                throw new EquationError('Restrictions must come after the equation', {
+                    code: 'misplaced_restriction', start: i, end: equationString.length, source: equationString,
+                    suggestion: 'Write the equation first, like y = x {x > 0}'
+                });
+            }
+        }
+
+        if (depth !== 0) throw braceError('Missing } in restriction', opened, 'Add a } to close the restriction');
+        if (conditions.some(condition => !condition)) {
+            const empty = equationString.search(/\{\s*\}/);
+            throw new EquationError('Empty {} restriction', {
+                code: 'empty_restriction', start: empty, end: empty + 2, source: equationString,
+                suggestion: 'Put a condition inside, like {x > 0}'
+            });
+        }
+
+        return { body, conditions, offsets };
+    }
+
+    /**
+     * Compile one restriction such as "0 < theta < pi", "y < 4" or
+     * "x^2 + y^2 < 9" into a boolean math.js expression.
+     */
+    compileRestriction(condition) {
+        const expression = this.preprocessAdvancedEquation(condition);
+        const node = math.parse(expression);
+
+        if (!this.isConditionNode(node)) {
+            throw new EquationError(`{${condition}} is not a condition`, {
+                code: 'not_a_condition', start: 0, end: condition.length, source: condition,
+                suggestion: 'Compare two values, like {x > 0} or {0 <= x <= 5}'
+            });
+        }
+
+        return { source: condition, expression, compiled: node.compile(), test: this.compileFunction(node) };
+    }
+
+    isConditionNode(node) {
+        if (node.isParenthesisNode) return this.isConditionNode(node.content);
+        if (node.isRelationalNode) return true;
+        if (!node.isOperatorNode) return false;
+
+        if (['and', 'or', 'xor', 'not'].includes(node.fn)) {
+            return node.args.every(arg => this.isConditionNode(arg));
+        }
+        return ['smaller', 'larger', 'smallerEq', 'largerEq', 'equal', 'unequal'].includes(node.fn);
+    }
+
+    /**
+     * Wrap an equation's evaluators so points outside its restrictions
+     * come back as NaN (or false for inequality regions). Conditions see
+     * x and y plus the curve's own parameter (t, theta and r).
+     */
+    applyRestrictions(equation, restrictions) {
+        equation.restrictions = restrictions;
+        equation.isAllowed = function (values) {
+            return this.restrictions.every(restriction => {
+                try {
+                    return restriction.test(values) === true;
+                } catch (error) {
+                    return false;
+                }
+            });
+        };
+
+        const evaluate = equation.evaluate;
+
+        switch (equation.type) {
+            case 'explicit_y':
+            case 'constant_y':
+                equation.evaluate = function (x) {
+                    const y = evaluate.call(this, x);
+                    return this.isAllowed({ x, y }) ? y : NaN;
+                };
+                break;
+            case 'explicit_x':
+            case 'constant_x':
+                equation.evaluate = function (y) {
+                    const x = evaluate.call(this, y);
+                    return this.isAllowed({ x, y }) ? x : NaN;
+                };
+                break;
+            case 'polar':
+                equation.evaluate = function (theta) {
+                    const r = evaluate.call(this, theta);
+                    return this.isAllowed({ theta, r, x: r * Math.cos(theta), y: r * Math.sin(theta) }) ? r : NaN;
+                };
+                break;
+            case 'parametric': {
+                // Each coordinate comes from its own unrestricted evaluator; the restriction tests the point they make
+                const evaluateX = equation.evaluateX;
+                const evaluateY = equation.evaluateY;
+                const pointAt = (curve, t) => ({ t, x: evaluateX.call(curve, t), y: evaluateY.call(curve, t) });
+                equation.evaluateX = function (t) {
+                    const point = pointAt(this, t);
+                    return this.isAllowed(point) ? point.x : NaN;
+                };
+                equation.evaluateY = function (t) {
+                    const point = pointAt(this, t);
+                    return this.isAllowed(point) ? point.y : NaN;
+                };
+                break;
+            }
+            case 'implicit':
+                equation.evaluate = function (x, y) {
+                    return this.isAllowed({ x, y }) ? evaluate.call(this, x, y) : NaN;
+                };
+                equation.tracks?.forEach(track => this.applyRestrictions(track, restrictions));
+                break;
+            case 'inequality':
+                equation.evaluate = function (x, y) {
+                    return this.isAllowed({ x, y }) && evaluate.call(this, x, y);
+                };
+                if (equation.boundary) this.applyRestrictions(equation.boundary, restrictions);
+                break;
+            default:
+                throw new EquationError('Restrictions are not supported here', {
+                    code: 'unsupported_restriction', suggestion: 'Remove the {restriction} from this curve'
+                });
+        }
+    }
+
+    /** Names that are called rather than multiplied: sin(x) but a(x + 1) */
+    getCallableNames() {
+        const userFunctions = Object.keys(this.definitions)
+            .filter(name => this.definitions[name].kind === 'function');
+        return this.mathFunctions.concat(userFunctions);
+    }
+
+    /** Parse an expression in the input dialect into a math.js node tree */
+    parseExpression(source) {
+        return this.expressionParser.parse(source, { functions: this.getCallableNames() });
+    }
+
+    /** Rewrite dialect input (2x, sinx, |x|, log_2 x, 30°) as plain math.js syntax */
+    preprocessAdvancedEquation(equation) {
+        return this.parseExpression(equation).toString();
     }
 
     getNextColor() {
@@ -899,6 +2379,10 @@ class EquationRenderer {
         this.p5.strokeWeight(3);
         this.p5.noFill();
 
+        this.drawCurve(equation, xMin, xMax, yMin, yMax, width, height);
+    }
+
+    drawCurve(equation, xMin, xMax, yMin, yMax, width, height) {
         switch (equation.type) {
             case 'explicit_y':
             case 'piecewise':
@@ -910,7 +2394,12 @@ class EquationRenderer {
                 this.drawExplicitX(equation, yMin, yMax, xMin, xMax, width, height);
                 break;
             case 'implicit':
-                this.drawImplicit(equation, xMin, xMax, yMin, yMax, width, height);
+                if (equation.tracks) {
+                    // Solved implicit curves draw their analytic tracks in the curve's colour
+                    equation.tracks.forEach(track => this.drawCurve(track, xMin, xMax, yMin, yMax, width, height));
+                } else {
+                    this.drawImplicit(equation, xMin, xMax, yMin, yMax, width, height);
+                }
                 break;
             case 'polar':
                 this.drawPolar(equation, xMin, xMax, yMin, yMax, width, height);
@@ -921,16 +2410,27 @@ class EquationRenderer {
             case 'inequality':
                 this.drawInequality(equation, xMin, xMax, yMin, yMax, width, height);
                 break;
+            case 'family':
+                equation.members.forEach(member => this.drawEquation(member, xMin, xMax, yMin, yMax, width, height));
+                break;
         }
     }
 
     drawExplicitY(equation, xMin, xMax, yMin, yMax, width, height) {
         const points = [];
         const step = Math.min(0.02, (xMax - xMin) / 1000);
+        let branch = null;
 
         for (let x = xMin; x <= xMax + step; x += step) {
             const y = equation.evaluate(x);
 
+            // Branch boundaries are endpoints, never joined by a line
+            if (equation.branchAt) {
+                const nextBranch = equation.branchAt(x);
+                if (branch !== null && nextBranch !== branch) points.push({ valid: false });
+                branch = nextBranch;
+            }
+
             // Clip y values to be within bounds - prevent drawing outside graph
             if (!isNaN(y) && isFinite(y)) {
                 // Only include points that are within or close to the visible range
@@ -1008,10 +2508,17 @@ class EquationRenderer {
     drawExplicitX(equation, yMin, yMax, xMin, xMax, width, height) {
         const points = [];
         const step = Math.min(0.02, (yMax - yMin) / 1000);
+        let branch = null;
 
         for (let y = yMin; y <= yMax + step; y += step) {
             const x = equation.evaluate(y);
 
+            if (equation.branchAt) {
+                const nextBranch = equation.branchAt(y);
+                if (branch !== null && nextBranch !== branch) points.push({ valid: false });
+                branch = nextBranch;
+            }
+
             if (!isNaN(x) && isFinite(x)) {
                 const screenX = this.mapToScreen(x, xMin, xMax, 0, width);
                 const screenY = this.mapToScreen(-y, -yMax, -yMin, 0, height);
@@ -1050,33 +2557,46 @@ class EquationRenderer {
     }
 
     drawPolar(equation, xMin, xMax, yMin, yMax, width, height) {
-        const points = equation.getPoints(0, 4 * Math.PI, 0.02);
+        const { min, max } = equation.getRange();
+        const step = Math.max(0.02, (max - min) / 2000);
+        const points = equation.getPoints(min, max, step);
 
         if (points.length < 2) return;
 
-        const screenPoints = points.map(point => ({
-            x: this.mapToScreen(point.x, xMin, xMax, 0, width),
-            y: this.mapToScreen(-point.y, -yMax, -yMin, 0, height),
-            valid: true
-        }));
-
-        this.drawContinuousSegments(screenPoints);
+        this.drawContinuousSegments(this.toScreenPoints(points, 'theta', step, xMin, xMax, yMin, yMax, width, height));
     }
 
     drawParametric(equation, xMin, xMax, yMin, yMax, width, height) {
-        // Determine appropriate t range based on the equation
-        // Default to 0 to 2π for most curves, extend for spirals, etc.
-        const points = equation.getPoints(0, 2 * Math.PI, 0.02);
+        // Trace the curve's explicit range, or one period / a long sweep when it has none
+        const { min, max } = equation.getRange();
+        const step = Math.max(0.02, (max - min) / 2000);
+        const points = equation.getPoints(min, max, step);
 
         if (points.length < 2) return;
 
-        const screenPoints = points.map(point => ({
-            x: this.mapToScreen(point.x, xMin, xMax, 0, width),
-            y: this.mapToScreen(-point.y, -yMax, -yMin, 0, height),
-            valid: true
-        }));
+        this.drawContinuousSegments(this.toScreenPoints(points, 't', step, xMin, xMax, yMin, yMax, width, height));
+    }
 
-        this.drawContinuousSegments(screenPoints);
+    /**
+     * Map sampled curve points to screen space, inserting a break wherever
+     * the parameter skips samples (restricted or undefined stretches).
+     */
+    toScreenPoints(points, parameterKey, step, xMin, xMax, yMin, yMax, width, height) {
+        const screenPoints = [];
+
+        points.forEach((point, index) => {
+            const previous = points[index - 1];
+            if (previous && point[parameterKey] - previous[parameterKey] > step * 1.5) {
+                screenPoints.push({ valid: false });
+            }
+            screenPoints.push({
+                x: this.mapToScreen(point.x, xMin, xMax, 0, width),
+                y: this.mapToScreen(-point.y, -yMax, -yMin, 0, height),
+                valid: true
+            });
+        });
+
+        return screenPoints;
     }
 
     drawInequality(equation, xMin, xMax, yMin, yMax, width, height) {
@@ -1107,6 +2627,17 @@ class EquationRenderer {
             }
         }
 
+        // The edge marbles collide with: solid when hard, dashed when strict
+        if (equation.boundary) {
+            const context = this.p5.drawingContext;
+            this.p5.stroke(equation.color.substring(0, 7));
+            this.p5.strokeWeight(2);
+            this.p5.noFill();
+            if (equation.strict) context?.setLineDash?.([6, 6]);
+            this.drawCurve(equation.boundary, xMin, xMax, yMin, yMax, width, height);
+            context?.setLineDash?.([]);
+        }
+
         // Reset stroke for other drawings
         this.p5.stroke(equation.color.substring(0, 7));
         this.p5.noFill();
@@ -4,8 +4,46 @@ import reactHooks from 'eslint-plugin-react-hooks';
 import reactRefresh from 'eslint-plugin-react-refresh';
 import tseslint from 'typescript-eslint';
 
+// Classes and helpers one script defines and another uses
+const BROWSER_GLOBALS = [
+  'Vector2D', 'PhysicsEngine', 'Marble', 'PHYSICS_SETTINGS', 'PHYSICS_PRESETS', 'RUN_FRAME_SECONDS',
+  'resolvePhysicsConfig', 'resolveLaunch', 'getLaunchRange', 'getLaunchers', 'createLaunchFormation',
+  'createLevelMarbles', 'simulateRun',
+  'ExpressionParser', 'EquationError', 'EXPRESSION_CORPUS', 'ExpressionCompiler', 'LatexFormatter',
+  'EquationParser', 'EquationRenderer', 'UIManager', 'MathKeyboard', 'Game',
+];
+
 export default tseslint.config(
   { ignores: ['dist'] },
+  {
+    // The game's browser scripts share one global scope, as index.html loads them
+    extends: [js.configs.recommended],
+    files: ['*.js'],
+    ignores: ['*.config.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'script',
+      globals: {
+        ...globals.browser,
+        math: 'readonly',
+        p5: 'readonly',
+        katex: 'readonly',
+        ...Object.fromEntries(BROWSER_GLOBALS.map((name) => [name, 'readonly'])),
+      },
+    },
+    rules: {
+      'no-redeclare': ['error', { builtinGlobals: false }],
+      'no-unused-vars': ['error', { vars: 'local', args: 'none', caughtErrors: 'none' }],
+    },
+  },
+  {
+    extends: [js.configs.recommended],
+    files: ['tests/**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      globals: globals.node,
+    },
+  },
   {
     extends: [js.configs.recommended, ...tseslint.configs.recommended],
     files: ['**/*.{ts,tsx}'],
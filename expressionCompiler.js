@@ -0,0 +1,208 @@
+/**
+ * ============================================================================
+ * NATIVE COMPILER FOR PARSED EXPRESSIONS
+ * ============================================================================
+ *
+ * Turns a math.js node tree into a plain JavaScript closure such as
+ * (x) => Math.sin(x) * $parameters.a, so curves can be sampled thousands of
+ * times per frame without building a math.js scope on every call.
+ * - Built-in functions and constants live in one frozen scope shared by all closures
+ * - Sliders and definitions are read live from the EquationParser
+ * - Comparisons use math.js' relative epsilon, so {0 <= t <= 2pi} keeps its endpoints
+ * - compile() returns null for anything it does not know; callers fall back to math.js
+ *
+ * ============================================================================
+ */
+
+class ExpressionCompiler {
+    constructor(equationParser) {
+        this.equationParser = equationParser;
+        this.epsilon = math.config().epsilon;
+
+        const builtins = equationParser.createScope();
+        const functions = Object.fromEntries(
+            Object.entries(builtins).filter(([, value]) => typeof value === 'function')
+        );
+        this.constants = Object.fromEntries(
+            Object.entries(builtins).filter(([, value]) => typeof value === 'number')
+        );
+
+        const nearlyEqual = (a, b) => this.nearlyEqual(a, b);
+        this.scope = Object.freeze({
+            sin: Math.sin, cos: Math.cos, tan: Math.tan,
+            asin: Math.asin, acos: Math.acos, atan: Math.atan, atan2: Math.atan2,
+            sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh,
+            asinh: Math.asinh, acosh: Math.acosh, atanh: Math.atanh,
+            sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, exp: Math.exp, sign: Math.sign,
+            min: Math.min, max: Math.max, hypot: Math.hypot,
+            log: (x, base) => base === undefined ? Math.log(x) : Math.log(x) / Math.log(base),
+
+            // math.js rounds near-integers and rejects odd inputs its own way; keep its answers
+            floor: (x) => math.floor(x), ceil: (x) => math.ceil(x), round: (x, n) => math.round(x, n ?? 0),
+            mod: (x, y) => math.mod(x, y), factorial: (x) => math.factorial(x),
+
+            ...functions,
+
+            smaller: (a, b) => a < b && !nearlyEqual(a, b),
+            larger: (a, b) => a > b && !nearlyEqual(a, b),
+            smallerEq: (a, b) => a <= b || nearlyEqual(a, b),
+            largerEq: (a, b) => a >= b || nearlyEqual(a, b),
+            equal: nearlyEqual,
+            unequal: (a, b) => !nearlyEqual(a, b)
+        });
+    }
+
+    /** math.js' comparison tolerance for plain numbers */
+    nearlyEqual(a, b) {
+        if (a === b) return true;
+        if (!Number.isFinite(a) || !Number.isFinite(b)) return false;
+        const difference = Math.abs(a - b);
+        return difference < Number.EPSILON || difference <= Math.max(Math.abs(a), Math.abs(b)) * this.epsilon;
+    }
+
+    /**
+     * Compile a node into a function of the given variables, in order.
+     * @param {Object} node - math.js node tree
+     * @param {Array<string>|null} variables - Argument names, e.g. ['x'] or ['x', 'y'];
+     *   null compiles a function of one values object, looked up before sliders like createScope
+     * @returns {Function|null} The closure, or null if the tree uses something unsupported
+     */
+    compile(node, variables = null) {
+        try {
+            const body = this.generate(node, variables && new Set(variables));
+            const factory = new Function('$builtins', '$parser', `
+                return function (${variables ? variables.join(', ') : '$values = {}'}) {
+                    const $definitions = $parser.definitionScope;
+                    const $parameters = $parser.parameterValues;
+                    return ${body};
+                };
+            `);
+            return factory(this.scope, this.equationParser);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    generate(node, variables) {
+        const generate = (child) => this.generate(child, variables);
+        const call = (name, args) => `$builtins.${name}(${args.map(generate).join(', ')})`;
+        const operators = { add: '+', subtract: '-', multiply: '*', divide: '/' };
+
+        switch (node.type) {
+            case 'ConstantNode':
+                if (typeof node.value !== 'number') throw new Error('Unsupported constant');
+                return `(${node.value})`;
+
+            case 'SymbolNode':
+                return this.generateSymbol(node.name, variables);
+
+            case 'ParenthesisNode':
+                return generate(node.content);
+
+            case 'ConditionalNode':
+                return `(${generate(node.condition)} ? ${generate(node.trueExpr)} : ${generate(node.falseExpr)})`;
+
+            case 'RelationalNode':
+                return `(${node.conditionals.map((fn, index) =>
+                    call(fn, [node.params[index], node.params[index + 1]])).join(' && ')})`;
+
+            case 'FunctionNode':
+                return this.generateCall(node, generate);
+
+            case 'OperatorNode': {
+                const [a, b] = node.args.map(generate);
+                if (operators[node.fn] && node.args.length === 2) return `(${a} ${operators[node.fn]} ${b})`;
+
+                switch (node.fn) {
+                    case 'unaryMinus': return `(-${a})`;
+                    case 'unaryPlus': return `(+${a})`;
+                    case 'pow': return `(${a} ** ${b})`;
+                    case 'and': return `(Boolean(${a}) && Boolean(${b}))`;
+                    case 'or': return `(Boolean(${a}) || Boolean(${b}))`;
+                    case 'xor': return `(Boolean(${a}) !== Boolean(${b}))`;
+                    case 'not': return `(!${a})`;
+                    case 'mod':
+                    case 'factorial':
+                    case 'smaller':
+                    case 'larger':
+                    case 'smallerEq':
+                    case 'largerEq':
+                    case 'equal':
+                    case 'unequal':
+                        return call(node.fn, node.args);
+                    default:
+                        throw new Error(`Unsupported operator ${node.fn}`);
+                }
+            }
+
+            default:
+                throw new Error(`Unsupported node ${node.type}`);
+        }
+    }
+
+    generateSymbol(name, variables) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) throw new Error(`Unsupported name ${name}`);
+        if (variables?.has(name)) return name;
+        if (name in this.constants) return `(${this.constants[name]})`;
+        if (name === 'Infinity' || name === 'NaN') return name;
+
+        // Values shadow definitions, which shadow sliders, exactly as in EquationParser.createScope
+        const lookup = `$definitions.${name} ?? $parameters.${name}`;
+        return variables ? `(${lookup})` : `($values.${name} ?? ${lookup})`;
+    }
+
+    generateCall(node, generate) {
+        const name = node.fn.name;
+        if (!node.fn.isSymbolNode || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            throw new Error('Unsupported call');
+        }
+
+        const args = node.args.map(generate).join(', ');
+        if (name in this.scope) return `$builtins.${name}(${args})`;
+
+        // A player's f(x); anything else math.js knows is left to math.js
+        if (this.equationParser.definitions[name]?.kind === 'function') return `$definitions.${name}(${args})`;
+        throw new Error(`Unsupported function ${name}`);
+    }
+
+    /**
+     * Compare native closures with math.js on EXPRESSION_CORPUS.
+     * Complex math.js results (sqrt of a negative) must come out as NaN.
+     * @returns {Array} Failures as { input, error }; empty when every entry agrees
+     */
+    checkCorpus() {
+        const parser = this.equationParser;
+        const samples = [
+            { x: 0.7, y: -1.3, t: 2.1, theta: 0.4, a: 2, b: -0.5, a_1: 1, a_2: 4 },
+            { x: -2.4, y: 3.2, t: -0.6, theta: 5.1, a: -1.5, b: 3, a_1: -2, a_2: 0.5 }
+        ];
+        const failures = [];
+
+        EXPRESSION_CORPUS.forEach(([input]) => {
+            try {
+                const node = parser.parseExpression(input);
+                const native = this.compile(node);
+                if (!native) throw new Error('not compiled');
+
+                const compiled = node.compile();
+                samples.forEach(values => {
+                    const actual = native(values);
+                    const wanted = compiled.evaluate(parser.createScope(values));
+                    const same = typeof wanted === 'number' || typeof wanted === 'boolean'
+                        ? actual === wanted || (Number.isNaN(actual) && Number.isNaN(wanted)) ||
+                            Math.abs(actual - wanted) <= 1e-9 * (1 + Math.abs(wanted))
+                        : Number.isNaN(actual);
+                    if (!same) throw new Error(`${actual} instead of ${wanted} at ${JSON.stringify(values)}`);
+                });
+            } catch (error) {
+                failures.push({ input, error: error.message });
+            }
+        });
+
+        return failures;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ExpressionCompiler = ExpressionCompiler;
+}
@@ -0,0 +1,789 @@
+/**
+ * ============================================================================
+ * EXPRESSION PARSER FOR THE MARBLESLIDES INPUT DIALECT
+ * ============================================================================
+ *
+ * Turns what players type into a math.js node tree:
+ * - Implicit multiplication: 2x, 3(x+1), (x+1)(x-1), xy, 2pi x
+ * - Functions with or without parentheses: sin(x), sinx, sin 2x, sin^2 x
+ * - |x| absolute values, ln, log (base 10), log_b(x), log(b, x)
+ * - Degree marks (30°, 30deg), factorials and unicode operators (π θ √ ≤ ≥ ≠ × ÷ ²)
+ * - Comparisons, chained comparisons and and/or/not for conditions
+ *
+ * ============================================================================
+ */
+
+/**
+ * A parse failure that knows where it happened. start/end are character
+ * offsets into source; suggestion is a short fix to show the player.
+ */
+class EquationError extends Error {
+    constructor(message, { code = 'invalid_equation', start = null, end = null, source = null, suggestion = null } = {}) {
+        super(message);
+        this.name = 'EquationError';
+        this.code = code;
+        this.start = start;
+        this.end = end;
+        this.source = source;
+        this.suggestion = suggestion;
+    }
+
+    /** Prefix the message of any error, keeping its code and range */
+    static wrap(error, prefix) {
+        const details = error instanceof EquationError ? error : {};
+        return new EquationError(`${prefix}: ${error.message}`, details);
+    }
+}
+
+class ExpressionParser {
+    constructor() {
+        // Names that are always read as a single word rather than a product of letters
+        this.constants = ['pi', 'tau', 'phi', 'e', 'theta', 'Infinity', 'NaN'];
+        this.keywords = ['and', 'or', 'xor', 'not', 'deg'];
+
+        // Longest sum(...) or prod(...) that is unrolled into plain terms
+        this.maxSeriesTerms = 100;
+
+        // Spellings players use for functions the evaluator knows under another name
+        this.aliases = {
+            arcsin: 'asin', arccos: 'acos', arctan: 'atan',
+            arcsec: 'asec', arccsc: 'acsc', arccot: 'acot',
+            ceiling: 'ceil', signum: 'sign', minimum: 'min', maximum: 'max',
+            ln: 'naturalLog'
+        };
+
+        this.unicode = {
+            'π': 'pi', 'θ': 'theta', '∞': 'Infinity',
+            '−': '-', '–': '-', '—': '-',
+            '×': '*', '·': '*', '⋅': '*', '∙': '*', '÷': '/',
+            '≤': '<=', '≥': '>=', '≠': '!=',
+            '²': '^2', '³': '^3'
+        };
+
+        this.relations = {
+            '<': 'smaller', '>': 'larger', '<=': 'smallerEq',
+            '>=': 'largerEq', '==': 'equal', '!=': 'unequal'
+        };
+    }
+
+    /**
+     * Parse an expression into a math.js node tree.
+     * @param {string} source - Expression as typed, without "y =" or braces
+     * @param {Object} options - { functions: names that can be called, like sin or a user's f }
+     */
+    parse(source, options = {}) {
+        const functions = options.functions || [];
+        this.functions = new Set([...functions, ...Object.keys(this.aliases), 'log', 'log10', 'log2', 'sum', 'prod']);
+        this.words = [...this.functions, ...this.constants, ...this.keywords]
+            .sort((a, b) => b.length - a.length);
+
+        this.source = source;
+        this.tokens = this.tokenize(source);
+        this.index = 0;
+        this.absDepth = 0;
+
+        if (this.tokens.length === 0) {
+            throw this.error('Expected an expression', 'empty_expression', 0, source.length);
+        }
+
+        const node = this.parseOr();
+        const extra = this.peek();
+        if (extra) {
+            if (this.isOperator(extra, ')')) {
+                throw this.error('Unbalanced parenthesis', 'unbalanced_paren', extra.start, extra.end, 'Remove this ) or add a matching (');
+            }
+            throw this.unexpected(extra);
+        }
+        return node;
+    }
+
+    error(message, code, start, end, suggestion = null) {
+        return new EquationError(message, { code, start, end, source: this.source, suggestion });
+    }
+
+    unexpected(token) {
+        const suggestions = {
+            '=': 'Use == to compare, or write one equation per line',
+            ',': 'Commas separate function arguments, like max(x, 2)'
+        };
+        return this.error(`Unexpected "${token.text}"`, 'unexpected_token', token.start, token.end, suggestions[token.text] || null);
+    }
+
+    // ── tokenizer ───────────────────────────────────────────────────────
+
+    /** Split the source into number, name, operator and punctuation tokens */
+    tokenize(source) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+            const push = (type, text, value = text) => tokens.push({ type, text, value, start, end: i });
+
+            if (this.unicode[char]) {
+                i++;
+                const replacement = this.unicode[char];
+                if (replacement === '^2' || replacement === '^3') {
+                    push('operator', '^');
+                    tokens.push({ type: 'number', text: replacement[1], value: Number(replacement[1]), start, end: i });
+                } else if (/^[a-zA-Z]/.test(replacement)) {
+                    push('name', replacement);
+                } else {
+                    push('operator', replacement);
+                }
+                continue;
+            }
+
+            if (char === '√') {
+                i++;
+                push('name', 'sqrt');
+                continue;
+            }
+
+            if (char === '°') {
+                i++;
+                push('name', 'deg');
+                continue;
+            }
+
+            if (/[0-9.]/.test(char)) {
+                const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+                if (!match) throw this.error(`Unexpected "${char}"`, 'unknown_symbol', i, i + 1);
+                i += match[0].length;
+                push('number', match[0], Number(match[0]));
+                continue;
+            }
+
+            if (/[a-zA-Z]/.test(char)) {
+                // Letters, plus digits that finish a name like log10 or atan2
+                const run = source.slice(i).match(/^[a-zA-Z]+\d*/)[0];
+                this.checkFunctionTypo(source, i, run);
+                this.splitWord(run).forEach(word => {
+                    const wordStart = i;
+                    i += word.length;
+                    tokens.push({ type: 'name', text: word, value: word, start: wordStart, end: i });
+                });
+
+                // Subscripts belong to the letter before them: a_1, v_0, log_2
+                const subscript = source.slice(i).match(/^_(\{[a-zA-Z0-9.]+\}|[a-zA-Z0-9.]+)/);
+                if (subscript) {
+                    const last = tokens[tokens.length - 1];
+                    const text = subscript[1].replace(/[{}]/g, '');
+                    i += subscript[0].length;
+                    if (last.value === 'log') {
+                        last.base = text;
+                    } else if (last.value.length === 1) {
+                        last.value = `${last.value}_${text}`;
+                    } else {
+                        throw this.error(`Only single letters can have subscripts, not ${last.value}`,
+                            'invalid_subscript', last.start, i);
+                    }
+                    last.text = source.slice(last.start, i);
+                    last.end = i;
+                }
+                continue;
+            }
+
+            const pair = source.slice(i, i + 2);
+            if (['<=', '>=', '==', '!=', '&&', '**'].includes(pair)) {
+                i += 2;
+                if (pair === '&&') push('name', pair, 'and');
+                else if (pair === '**') push('operator', pair, '^');
+                else push('operator', pair);
+                continue;
+            }
+
+            if ('+-*/^()[],|<>!='.includes(char)) {
+                i++;
+                push('operator', char);
+                continue;
+            }
+
+            throw this.error(`Unexpected "${char}"`, 'unknown_symbol', i, i + 1, this.symbolSuggestion(char));
+        }
+
+        return tokens;
+    }
+
+    symbolSuggestion(char) {
+        if (char === '{' || char === '}' || char === ':') return 'Conditions go in braces after the equation, like y = x {x > 0}';
+        return null;
+    }
+
+    /**
+     * A run of letters right before "(" that is not a function but is one
+     * typo away from one: "sine(x)" would otherwise read as sin(e·x).
+     */
+    checkFunctionTypo(source, start, run) {
+        const words = this.splitWord(run);
+        const letters = run.match(/^[a-zA-Z]+/)[0];
+        const after = source.slice(start + run.length).match(/^\s*\(/);
+        if (!after || letters.length < 3 || this.functions.has(words[words.length - 1])) return;
+
+        const candidates = [...this.functions].filter(name => name.length > 1);
+        const closest = candidates
+            .map(name => ({ name, distance: this.editDistance(letters, name) }))
+            .sort((a, b) => a.distance - b.distance)[0];
+        if (!closest || closest.distance > 1) return;
+
+        const open = start + run.length + after[0].length;
+        let depth = 1;
+        let close = open;
+        while (close < source.length && depth > 0) {
+            if (source[close] === '(') depth++;
+            if (source[close] === ')') depth--;
+            close++;
+        }
+        const argument = source.slice(open, depth === 0 ? close - 1 : close).trim() || 'x';
+
+        throw this.error(`Unknown function ${letters}`, 'unknown_function', start, start + letters.length,
+            `Did you mean ${closest.name}(${argument})?`);
+    }
+
+    editDistance(a, b) {
+        const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = previous[0];
+            previous[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const above = previous[j];
+                previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+                diagonal = above;
+            }
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Break a run of letters into known words and single-letter variables,
+     * longest word first: "sinx" → sin x, "pix" → pi x, "ab" → a b.
+     */
+    splitWord(run) {
+        const words = [];
+        let rest = run;
+
+        while (/^[a-zA-Z]/.test(rest)) {
+            const word = this.words.find(name => rest.startsWith(name)) || rest[0];
+            words.push(word);
+            rest = rest.slice(word.length);
+        }
+        return words;
+    }
+
+    // ── precedence parser ───────────────────────────────────────────────
+
+    peek(offset = 0) {
+        return this.tokens[this.index + offset];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isOperator(token, ...values) {
+        return Boolean(token) && token.type === 'operator' && values.includes(token.value);
+    }
+
+    isWord(token, ...values) {
+        return Boolean(token) && token.type === 'name' && values.includes(token.value);
+    }
+
+    /** Consume the bracket that closes opener, or report the opener as unbalanced */
+    expect(value, opener) {
+        const token = this.peek();
+        if (this.isOperator(token, value)) return this.next();
+
+        if (value === '|') {
+            throw this.error('Unclosed absolute value', 'unbalanced_abs', opener.start, opener.end, 'Add a | to close it');
+        }
+        if (!token) {
+            throw this.error('Unbalanced parenthesis', 'unbalanced_paren', opener.start, opener.end, `Add a ${value} to close it`);
+        }
+        throw this.unexpected(token);
+    }
+
+    parseOr() {
+        let node = this.parseAnd();
+        while (this.isWord(this.peek(), 'or', 'xor')) {
+            const op = this.next().value;
+            node = new math.OperatorNode(op, op, [node, this.parseAnd()]);
+        }
+        return node;
+    }
+
+    parseAnd() {
+        let node = this.parseNot();
+        while (this.isWord(this.peek(), 'and')) {
+            this.next();
+            node = new math.OperatorNode('and', 'and', [node, this.parseNot()]);
+        }
+        return node;
+    }
+
+    parseNot() {
+        if (this.isWord(this.peek(), 'not')) {
+            this.next();
+            return new math.OperatorNode('not', 'not', [this.parseNot()]);
+        }
+        return this.parseRelation();
+    }
+
+    /** a < b stays an operator; a < b < c becomes a chained comparison */
+    parseRelation() {
+        const params = [this.parseAdditive()];
+        const conditionals = [];
+
+        while (this.peek() && this.peek().type === 'operator' && this.relations[this.peek().value]) {
+            conditionals.push(this.relations[this.next().value]);
+            params.push(this.parseAdditive());
+        }
+
+        if (conditionals.length === 0) return params[0];
+        if (conditionals.length === 1) {
+            const op = Object.keys(this.relations).find(key => this.relations[key] === conditionals[0]);
+            return new math.OperatorNode(op, conditionals[0], params);
+        }
+        return new math.RelationalNode(conditionals, params);
+    }
+
+    parseAdditive() {
+        let node = this.parseMultiplicative();
+        while (this.isOperator(this.peek(), '+', '-')) {
+            const op = this.next().value;
+            node = new math.OperatorNode(op, op === '+' ? 'add' : 'subtract', [node, this.parseMultiplicative()]);
+        }
+        return node;
+    }
+
+    /** Explicit * and /, plus implicit multiplication at the same precedence */
+    parseMultiplicative() {
+        let node = this.parseUnary();
+
+        while (true) {
+            if (this.isOperator(this.peek(), '*', '/')) {
+                const op = this.next().value;
+                node = new math.OperatorNode(op, op === '*' ? 'multiply' : 'divide', [node, this.parseUnary()]);
+            } else if (this.startsFactor(this.peek())) {
+                node = new math.OperatorNode('*', 'multiply', [node, this.parsePower()]);
+            } else {
+                return node;
+            }
+        }
+    }
+
+    /** Whether a token can begin an implicitly multiplied factor */
+    startsFactor(token) {
+        if (!token) return false;
+        if (token.type === 'number') return true;
+        if (token.type === 'name') return !this.keywords.includes(token.value);
+        if (this.isOperator(token, '(', '[')) return true;
+        // Inside |...| a bar closes the group; outside it opens a new one
+        return this.isOperator(token, '|') && this.absDepth === 0;
+    }
+
+    parseUnary() {
+        if (this.isOperator(this.peek(), '-', '+')) {
+            const op = this.next().value;
+            const operand = this.parseUnary();
+            return op === '-' ? new math.OperatorNode('-', 'unaryMinus', [operand]) : operand;
+        }
+        return this.parsePower();
+    }
+
+    /** Right-associative powers: 2^3^2 = 2^(3^2), and 2^-x is allowed */
+    parsePower() {
+        const base = this.parsePostfix();
+        if (this.isOperator(this.peek(), '^')) {
+            this.next();
+            return new math.OperatorNode('^', 'pow', [base, this.parseUnary()]);
+        }
+        return base;
+    }
+
+    /** Factorials and degree marks: 3!, 30°, 45deg */
+    parsePostfix() {
+        let node = this.parsePrimary();
+
+        while (true) {
+            if (this.isOperator(this.peek(), '!')) {
+                this.next();
+                node = new math.OperatorNode('!', 'factorial', [node]);
+            } else if (this.isWord(this.peek(), 'deg')) {
+                this.next();
+                const radians = new math.OperatorNode('*', 'multiply', [node, new math.SymbolNode('pi')]);
+                node = new math.ParenthesisNode(
+                    new math.OperatorNode('/', 'divide', [radians, new math.ConstantNode(180)])
+                );
+            } else {
+                return node;
+            }
+        }
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        if (!token) {
+            const previous = this.tokens[this.tokens.length - 1];
+            throw this.error('Expression ends too early', 'unexpected_end', previous.start, previous.end,
+                `Add a value after "${previous.text}"`);
+        }
+
+        if (token.type === 'number') {
+            return new math.ConstantNode(token.value);
+        }
+
+        if (this.isOperator(token, '(')) {
+            const content = this.parseOr();
+            this.expect(')', token);
+            return new math.ParenthesisNode(content);
+        }
+
+        if (this.isOperator(token, '[')) {
+            const items = [this.parseOr()];
+            while (this.isOperator(this.peek(), ',')) {
+                this.next();
+                items.push(this.parseOr());
+            }
+            this.expect(']', token);
+            return new math.ArrayNode(items);
+        }
+
+        if (this.isOperator(token, '|')) {
+            this.absDepth++;
+            const content = this.parseOr();
+            this.absDepth--;
+            this.expect('|', token);
+            return new math.FunctionNode(new math.SymbolNode('abs'), [content]);
+        }
+
+        if (token.type === 'name') {
+            if (this.isWord(token, 'sum', 'prod')) return this.parseSeries(token);
+            if (this.functions.has(token.value)) return this.parseCall(token);
+            if (this.keywords.includes(token.value)) throw this.unexpected(token);
+            return new math.SymbolNode(token.value);
+        }
+
+        if (this.isOperator(token, ')')) {
+            throw this.error('Unbalanced parenthesis', 'unbalanced_paren', token.start, token.end, 'Remove this ) or add a matching (');
+        }
+        throw this.unexpected(token);
+    }
+
+    /**
+     * A function applied with parentheses, sin(x), or without them, sin 2x.
+     * A power written on the name applies to the result: sin^2 x = (sin x)^2,
+     * while sin^-1 x is the inverse function.
+     */
+    parseCall(token) {
+        let name = this.aliases[token.value] || token.value;
+        let power = null;
+
+        if (this.isOperator(this.peek(), '^')) {
+            this.next();
+            power = this.parseUnary();
+            const inverse = `a${name}`;
+            if (this.isMinusOne(power) && this.functions.has(inverse)) {
+                name = inverse;
+                power = null;
+            }
+        }
+
+        let args;
+        if (this.isOperator(this.peek(), '(')) {
+            const open = this.next();
+            args = [this.parseOr()];
+            while (this.isOperator(this.peek(), ',')) {
+                this.next();
+                args.push(this.parseOr());
+            }
+            this.expect(')', open);
+        } else {
+            args = [this.parseBareArgument(token)];
+        }
+
+        let node = this.buildCall(name, args, token);
+        if (power) node = new math.OperatorNode('^', 'pow', [node, power]);
+        return node;
+    }
+
+    /**
+     * sum(n=1, 5, sin(n x)/n) and prod(k=1, 3, x - k), unrolled into plain
+     * sums and products so every evaluator and derivative sees ordinary
+     * terms. The bounds must be whole numbers known while parsing; the node
+     * keeps them as .series so the preview can still show Σ and Π.
+     */
+    parseSeries(token) {
+        const usage = `Write it like ${token.value}(n=1, 5, n x)`;
+        const open = this.next();
+        if (!this.isOperator(open, '(')) {
+            throw this.error(`${token.text} needs parentheses`, 'missing_argument', token.start, token.end, usage);
+        }
+
+        const index = this.next();
+        if (!index || index.type !== 'name' || !/^[a-zA-Z](_\w+)?$/.test(index.value) || !this.isOperator(this.next(), '=')) {
+            throw this.error(`${token.text} starts with its counter, like n=1`, 'invalid_series',
+                token.start, (index || open).end, usage);
+        }
+
+        const separator = () => {
+            if (!this.isOperator(this.peek(), ',')) {
+                throw this.error(`${token.text} takes a counter, a last value and a term`, 'argument_count',
+                    token.start, token.end, usage);
+            }
+            this.next();
+        };
+        const bound = (node) => {
+            let value;
+            try {
+                value = node.compile().evaluate({});
+            } catch (error) {
+                value = NaN;
+            }
+            if (!Number.isInteger(value)) {
+                throw this.error(`The bounds of ${token.text} must be whole numbers`, 'invalid_series',
+                    token.start, token.end, usage);
+            }
+            return value;
+        };
+
+        const from = this.parseAdditive();
+        separator();
+        const to = this.parseAdditive();
+        separator();
+        const body = this.parseOr();
+        this.expect(')', open);
+
+        const first = bound(from);
+        const last = bound(to);
+        if (last - first + 1 > this.maxSeriesTerms) {
+            throw this.error(`${token.text} can add up at most ${this.maxSeriesTerms} terms`, 'too_many_terms',
+                token.start, token.end);
+        }
+
+        const isSum = token.value === 'sum';
+        const terms = [];
+        for (let k = first; k <= last; k++) {
+            terms.push(new math.ParenthesisNode(body.transform((node, path) =>
+                node.isSymbolNode && node.name === index.value && path !== 'fn' ? new math.ConstantNode(k) : node)));
+        }
+        const total = terms.length === 0
+            ? new math.ConstantNode(isSum ? 0 : 1)
+            : terms.reduce((a, b) => new math.OperatorNode(isSum ? '+' : '*', isSum ? 'add' : 'multiply', [a, b]));
+
+        const node = new math.ParenthesisNode(total);
+        node.series = { kind: token.value, index: index.value, from, to, body };
+        return node;
+    }
+
+    /** "sin 2x cos x" gives sin its juxtaposed product 2x, stopping at the next function */
+    parseBareArgument(token) {
+        if (!this.peek() || !(this.startsFactor(this.peek()) || this.isOperator(this.peek(), '-', '+'))) {
+            throw this.error(`${token.text} needs an argument`, 'missing_argument', token.start, token.end,
+                `Did you mean ${token.text}(x)?`);
+        }
+
+        let node = this.parseUnary();
+        while (this.startsFactor(this.peek()) && !this.functions.has(this.peek().value)) {
+            node = new math.OperatorNode('*', 'multiply', [node, this.parsePower()]);
+        }
+        return node;
+    }
+
+    /** Map the dialect's logarithms onto the evaluator's logBase */
+    buildCall(name, args, token) {
+        const call = (fn, params) => new math.FunctionNode(new math.SymbolNode(fn), params);
+        const constant = (value) => new math.ConstantNode(value);
+
+        if (name === 'log') {
+            if (token.base !== undefined) {
+                if (args.length !== 1) {
+                    throw this.error(`${token.text} takes one argument`, 'argument_count', token.start, token.end);
+                }
+                const base = Number.isFinite(Number(token.base))
+                    ? constant(Number(token.base))
+                    : new math.SymbolNode(token.base);
+                return call('logBase', [args[0], base]);
+            }
+            if (args.length === 2) return call('logBase', [args[1], args[0]]);
+            if (args.length === 1) return call('logBase', [args[0], constant(10)]);
+            throw this.error('log takes one or two arguments', 'argument_count', token.start, token.end,
+                'Use log(x) or log(base, x)');
+        }
+        if (name === 'log10') return call('logBase', [args[0], constant(10)]);
+        if (name === 'log2') return call('logBase', [args[0], constant(2)]);
+
+        return call(name, args);
+    }
+
+    isMinusOne(node) {
+        return node.isOperatorNode && node.fn === 'unaryMinus' &&
+            node.args[0].isConstantNode && node.args[0].value === 1;
+    }
+
+    // ── regression corpus ───────────────────────────────────────────────
+
+    /**
+     * Evaluate every corpus entry next to its reference math.js expression
+     * at a handful of points and return the entries that disagree.
+     * Run it from the console: new ExpressionParser().checkCorpus(game.equationParser)
+     */
+    checkCorpus(equationParser) {
+        const samples = [
+            { x: 0.7, y: -1.3, t: 2.1, theta: 0.4, a: 2, b: -0.5, a_1: 1, a_2: 4 },
+            { x: -2.4, y: 3.2, t: -0.6, theta: 5.1, a: -1.5, b: 3, a_1: -2, a_2: 0.5 },
+            { x: 5, y: 0.25, t: 7.5, theta: 2.5, a: 0.3, b: 1, a_1: 3, a_2: -1 }
+        ];
+        // Complex results (sqrt of a negative) are compared by their printed form
+        const normalize = (value) => typeof value === 'number' || typeof value === 'boolean' ? value : String(value);
+        const failures = [];
+
+        EXPRESSION_CORPUS.forEach(([input, reference]) => {
+            try {
+                const parsed = this.parse(input, { functions: equationParser.getCallableNames() }).compile();
+                const expected = math.compile(reference);
+                samples.forEach(values => {
+                    const scope = equationParser.createScope(values);
+                    const actual = normalize(parsed.evaluate(scope));
+                    const wanted = normalize(expected.evaluate(scope));
+                    const same = actual === wanted || (Number.isNaN(actual) && Number.isNaN(wanted)) ||
+                        Math.abs(actual - wanted) <= 1e-9 * (1 + Math.abs(wanted));
+                    if (!same) throw new Error(`${actual} instead of ${wanted} at ${JSON.stringify(values)}`);
+                });
+            } catch (error) {
+                failures.push({ input, reference, error: error.message });
+            }
+        });
+
+        return failures;
+    }
+}
+
+/**
+ * Inputs and what they should mean, written in plain math.js syntax. The
+ * first block comes from examples.html; the rest pin down dialect rules
+ * and inputs the old regex preprocessing got wrong.
+ */
+const EXPRESSION_CORPUS = [
+    // examples.html
+    ['x', 'x'],
+    ['2x + 1', '2 * x + 1'],
+    ['x^2', 'x ^ 2'],
+    ['-x^2 + 5', '-(x ^ 2) + 5'],
+    ['x^3', 'x ^ 3'],
+    ['a*x + b', 'a * x + b'],
+    ['x^2 - 3', 'x ^ 2 - 3'],
+    ['x^2 + y^2', 'x ^ 2 + y ^ 2'],
+    ['(x-2)^2 + (y-3)^2', '(x - 2) ^ 2 + (y - 3) ^ 2'],
+    ['x^2/9 + y^2/4', 'x ^ 2 / 9 + y ^ 2 / 4'],
+    ['y^2', 'y ^ 2'],
+    ['sin(x)', 'sin(x)'],
+    ['cos(x)', 'cos(x)'],
+    ['tan(x)', 'tan(x)'],
+    ['2*sin(x)', '2 * sin(x)'],
+    ['sin(2*x)', 'sin(2 * x)'],
+    ['sin(x) + 2', 'sin(x) + 2'],
+    ['theta', 'theta'],
+    ['sin(3*theta)', 'sin(3 * theta)'],
+    ['cos(4*theta)', 'cos(4 * theta)'],
+    ['1 + cos(theta)', '1 + cos(theta)'],
+    ['2 + sin(theta)', '2 + sin(theta)'],
+    ['theta/2', 'theta / 2'],
+    ['t^2/4', 't ^ 2 / 4'],
+    ['6pi', '6 * pi'],
+    ['sqrt(x)', 'sqrt(x)'],
+    ['abs(x)', 'abs(x)'],
+    ['ln(x)', 'naturalLog(x)'],
+    ['log(x)', 'log10(x)'],
+    ['e^x', 'exp(x)'],
+    ['2^x', '2 ^ x'],
+    ['floor(x)', 'floor(x)'],
+    ['1/x', '1 / x'],
+    ['log_2(x)', 'log2(x)'],
+    ['clamp(x, -2, 2)', 'min(max(x, -2), 2)'],
+    ['max(sin(x), cos(x))', 'max(sin(x), cos(x))'],
+    ['sec(x)', '1 / cos(x)'],
+    ['sin(30deg) * x', '0.5 * x'],
+    ['x > 0', 'x > 0'],
+    ['0 < x < 5', '0 < x and x < 5'],
+    ['x < -2 or x > 2', 'x < -2 or x > 2'],
+    ['x != 0', 'x != 0'],
+    ['0 <= x < 3', '0 <= x and x < 3'],
+
+    // parentheses the regex pipeline never balanced
+    ['e^(x+1)*2', 'exp(x + 1) * 2'],
+    ['log(sin(x))', 'log10(sin(x))'],
+    ['ln(abs(x) + 1)', 'log(abs(x) + 1)'],
+    ['log_3(x^2 + 1)', 'logBase(x ^ 2 + 1, 3)'],
+    ['log10(x) + log2(x)', 'logBase(x, 10) + logBase(x, 2)'],
+    ['log(2, x)', 'logBase(x, 2)'],
+    ['e^-x^2', 'exp(-(x ^ 2))'],
+
+    // implicit multiplication
+    ['2(x+1)', '2 * (x + 1)'],
+    ['(x+1)(x-1)', '(x + 1) * (x - 1)'],
+    ['(x+1)2', '(x + 1) * 2'],
+    ['a(x+1)', 'a * (x + 1)'],
+    ['xy', 'x * y'],
+    ['2pix', '2 * pi * x'],
+    ['x2', 'x * 2'],
+    ['1/2x', 'x / 2'],
+    ['2x^2', '2 * x ^ 2'],
+    ['-2^2', '-4'],
+    ['2^3^2', '512'],
+
+    // functions without parentheses
+    ['sinx', 'sin(x)'],
+    ['sin 2x', 'sin(2 * x)'],
+    ['sin x + 1', 'sin(x) + 1'],
+    ['sinx cosx', 'sin(x) * cos(x)'],
+    ['sin^2 x + cos^2 x', '1'],
+    ['sin^-1(x/9)', 'asin(x / 9)'],
+    ['arctan(x)', 'atan(x)'],
+    ['ln x', 'naturalLog(x)'],
+    ['sqrt x + 1', 'sqrt(x) + 1'],
+
+    // absolute values
+    ['|x|', 'abs(x)'],
+    ['|x - 1| + |x + 1|', 'abs(x - 1) + abs(x + 1)'],
+    ['2|x|', '2 * abs(x)'],
+    ['||x| - 2|', 'abs(abs(x) - 2)'],
+
+    // unicode and degree marks
+    ['2π', '2 * pi'],
+    ['sin(θ)', 'sin(theta)'],
+    ['√x', 'sqrt(x)'],
+    ['√(x + 1)', 'sqrt(x + 1)'],
+    ['x² + y³', 'x ^ 2 + y ^ 3'],
+    ['3 × x ÷ 2 − 1', '3 * x / 2 - 1'],
+    ['sin(30°)', '0.5'],
+    ['x ≤ 2', 'x <= 2'],
+    ['x ≠ 1', 'x != 1'],
+
+    // names, subscripts and conditions
+    ['a_1 x + a_2', 'a_1 * x + a_2'],
+    ['x > 0 and y < 2', 'x > 0 and y < 2'],
+    ['not x > 1', 'not (x > 1)'],
+    ['x > 0 && x < 3', 'x > 0 and x < 3'],
+    ['3!', '6'],
+    ['.5x', '0.5 * x'],
+    ['atan2(y, x) + hypot(x, y)', 'atan2(y, x) + hypot(x, y)'],
+
+    // sums and products
+    ['sum(n=1, 3, n x)', '6 * x'],
+    ['sum(n=1, 5, sin(n x)/n)', 'sin(x) + sin(2x) / 2 + sin(3x) / 3 + sin(4x) / 4 + sin(5x) / 5'],
+    ['prod(k=1, 3, x - k)', '(x - 1) * (x - 2) * (x - 3)'],
+    ['2sum(n=-1, 1, x^n)', '2 * (1 / x + 1 + x)'],
+    ['sum(n=1, 0, x)', '0']
+];
+
+if (typeof window !== 'undefined') {
+    window.EquationError = EquationError;
+    window.ExpressionParser = ExpressionParser;
+}
@@ -11,6 +11,8 @@ const GAME_MODES = {
         maxEquations: 10,
         marbleCount: 3,
         timer: 0,
+        marbleCollisions: false,
+        physics: null, // The engine's defaults, which levels are tuned against
         start: { x: -8, y: 8 }
     },
     precision: {
@@ -23,6 +25,8 @@ const GAME_MODES = {
         maxEquations: 4,
         marbleCount: 2,
         timer: 0,
+        marbleCollisions: false,
+        physics: { attachDistance: 0.55, maxSlopeAngle: 1.2 },
         start: { x: -8, y: 8 }
     },
     blitz: {
@@ -35,6 +39,8 @@ const GAME_MODES = {
         maxEquations: 8,
         marbleCount: 3,
         timer: 75,
+        marbleCollisions: true,
+        physics: { gravity: -12, timeScale: 0.02 },
         start: { x: -8, y: 8 }
     },
     zen: {
@@ -47,6 +53,8 @@ const GAME_MODES = {
         maxEquations: Infinity,
         marbleCount: 4,
         timer: 0,
+        marbleCollisions: true,
+        physics: { gravity: -6, rollingFriction: 0.01 },
         start: { x: -8, y: 8 }
     },
     daily: {
@@ -59,6 +67,8 @@ const GAME_MODES = {
         maxEquations: 6,
         marbleCount: 3,
         timer: 0,
+        marbleCollisions: false,
+        physics: 'ice',
         start: { x: -8, y: 8 },
         seeded: true
     }
@@ -67,7 +77,6 @@ const GAME_MODES = {
 class Game {
     constructor() {
         this.canvas = null;
-        this.physics = new PhysicsEngine();
         this.equationParser = new EquationParser();
         this.equationRenderer = null;
         this.ui = new UIManager();
@@ -85,6 +94,19 @@ class Game {
         this.playerStats = this.loadPlayerStats();
         this.random = Math.random;
 
+        // An authored level played instead of a generated puzzle, its launchers, and the dev panel's physics overrides
+        this.level = null;
+        this.launchers = [];
+        this.physicsTweaks = {};
+        this.physics = new PhysicsEngine(this.getPhysicsConfig());
+
+        // Angle and speed the player aimed at, and whether they are dragging the launch arrow
+        this.launch = resolveLaunch();
+        this.draggingLaunch = false;
+        this.launchArrowBase = 0.6;
+        this.launchArrowScale = 0.4;
+        this.launchHandleRadius = 16;
+
         this.canvasWidth = 600;
         this.canvasHeight = 600;
         this.xMin = -10;
@@ -94,10 +116,18 @@ class Game {
 
         this.marbleStartY = 8; // Start above the visible area
 
+        // Physics advances in fixed steps of real time, whatever the display's refresh rate
+        this.stepSeconds = RUN_FRAME_SECONDS;
+        this.maxStepsPerFrame = 5;
+        this.stepAccumulator = 0;
+        this.stepInterpolation = 1;
+
         this.setupP5();
         this.applyStartPosition();
         this.generatePuzzle();
         this.ui.updateMode(this.mode, this.getStatsForMode());
+        this.ui.updateLaunchControls(this.launch, this.getLaunchRules());
+        this.ui.updatePhysicsPanel(this.physics);
     }
 
     setupP5() {
@@ -119,6 +149,21 @@ class Game {
                 this.draw(p5);
             };
 
+            // Dragging the tip of the launch arrow aims it; p5 sends touches here too
+            p5.mousePressed = () => {
+                this.draggingLaunch = !this.gameRunning && this.isOnLaunchHandle(p5.mouseX, p5.mouseY);
+            };
+
+            p5.mouseDragged = () => {
+                if (!this.draggingLaunch) return;
+                this.aimLaunch(p5.mouseX, p5.mouseY);
+                return false;
+            };
+
+            p5.mouseReleased = () => {
+                this.draggingLaunch = false;
+            };
+
             p5.windowResized = () => {
                 const container = document.getElementById('gameCanvas');
                 const size = Math.min(container.clientWidth, container.clientHeight, 1040);
@@ -184,16 +229,99 @@ class Game {
         this.marbles = [];
         this.equations = [];
         this.editingIndex = -1;
+        this.equationParser.updateDefinitions(this.equations);
         this.equationParser.resetColorIndex();
         this.ui.setEditingState(false);
-        this.ui.updateEquationsList(this.equations);
+        this.refreshEquationsList();
+        this.level = null;
+        this.launchers = [];
+        this.applyPhysics();
+        this.setLaunch({});
+        this.ui.setStartLocked(false);
         this.generatePuzzle();
+        this.updateLauncherHud();
 
         if (!silent) {
             this.ui.showFeedback(`${this.mode.name} puzzle remixed.`, 'info');
         }
     }
 
+    /**
+     * Play an authored level, in the shape getLevel returns, instead of a
+     * generated puzzle, until the next new puzzle. Its physics apply on top
+     * of the mode's, and its launch rules may lock or limit the player's aim.
+     * Its launchers, when it has any, replace the start point; a star naming
+     * a launcher is only collected by that launcher's marbles.
+     * Run from the console: game.loadLevel({ stars, launch: { angleRange: [30, 60] }, physics: 'moon' })
+     * or game.loadLevel({ stars: [{ x: 4, y: 0, launcher: 'red' }], launchers: [{ id: 'red', x: -8, y: 6, count: 2, delay: 0.5 }] })
+     */
+    loadLevel(level) {
+        try {
+            resolvePhysicsConfig(level.physics);
+        } catch (error) {
+            this.ui.showFeedback(error.message, 'error');
+            return;
+        }
+
+        this.startNewPuzzle(true);
+        this.level = level;
+        this.launchers = getLaunchers(level);
+        this.stars = (level.stars ?? []).map(({ x, y, radius, launcher }) => ({
+            x, y, radius: radius ?? 0.3, launcher: launcher ?? null, collected: false
+        }));
+        if (level.start) {
+            if (this.ui.startX) this.ui.startX.value = level.start.x;
+            if (this.ui.startY) this.ui.startY.value = level.start.y;
+        }
+        this.applyPhysics();
+        this.setLaunch(resolveLaunch(level.launch));
+        this.ui.setStartLocked(this.launchers.length > 0);
+        this.ui.updateStats(this.starsCollected, this.stars.length);
+        this.updateLauncherHud();
+        this.ui.showFeedback(`Level loaded: ${this.stars.length} star${this.stars.length === 1 ? '' : 's'}.`, 'info');
+    }
+
+    /** The mode's physics overrides, then the level's, then the dev panel's */
+    getPhysicsConfig() {
+        return resolvePhysicsConfig(this.mode.physics, this.level?.physics, this.physicsTweaks);
+    }
+
+    /** Rebuild the engine from getPhysicsConfig; marbles in flight carry on under the new settings */
+    applyPhysics() {
+        this.physics = new PhysicsEngine(this.getPhysicsConfig());
+        this.equations.forEach(equation => this.physics.buildRails(equation));
+        this.ui.updatePhysicsPanel(this.physics, this.physicsTweaks.preset ?? '');
+    }
+
+    /** Start the dev panel's overrides from a PHYSICS_PRESETS entry, or clear them when id is empty */
+    setPhysicsPreset(id) {
+        this.physicsTweaks = id ? { preset: id } : {};
+        this.applyPhysics();
+        const preset = PHYSICS_PRESETS[id];
+        this.ui.showFeedback(preset ? `${preset.name} physics: ${preset.hint}.` : 'Physics tweaks cleared.', 'info');
+    }
+
+    setPhysicsSetting(key, value) {
+        if (!PHYSICS_SETTINGS[key] || !Number.isFinite(value)) return;
+        this.physicsTweaks = { ...this.physicsTweaks, [key]: value };
+        this.applyPhysics();
+    }
+
+    /**
+     * The settings in play that differ from the defaults, as JSON for a
+     * level's physics field. Shown in the dev panel and copied when allowed.
+     */
+    exportPhysics() {
+        const json = JSON.stringify(this.physics.getOverrides(), null, 2);
+        this.ui.showPhysicsExport(json);
+        const copied = navigator.clipboard?.writeText(json) ?? Promise.reject(new Error('No clipboard'));
+        copied.then(
+            () => this.ui.showFeedback('Physics settings copied as JSON.', 'success'),
+            () => this.ui.showFeedback('Physics settings exported below the sliders.', 'info')
+        );
+        return json;
+    }
+
     resetTimer() {
         this.timerRemaining = this.mode.timer || 0;
         this.timerStarted = false;
@@ -267,6 +395,13 @@ class Game {
     draw(p5) {
         p5.background(250, 250, 255);
 
+        // Advance the run, or just the animated sliders, before anything samples the curves
+        if (this.gameRunning) {
+            this.stepSimulation(p5.deltaTime / 1000);
+        } else {
+            this.updateParameters(p5.deltaTime / 1000);
+        }
+
         // Draw grid
         this.drawGrid(p5);
 
@@ -281,13 +416,43 @@ class Game {
         // Draw stars
         this.drawStars(p5);
 
+        // Draw the launch arrow while there is time to aim it
+        if (!this.gameRunning) this.drawLaunchers(p5);
+
         // Draw marbles
         this.drawMarbles(p5);
+    }
 
-        // Update game state
-        if (this.gameRunning) {
+    /**
+     * Run as many fixed physics steps as the elapsed real time covers, so a
+     * run takes the same steps, and ends the same way, at 60 Hz and 144 Hz.
+     * Leftover time carries over and sets how far marbles are drawn between
+     * their last two steps. A slow frame runs at most maxStepsPerFrame steps
+     * and drops the rest, slowing the run down rather than changing it.
+     */
+    stepSimulation(seconds) {
+        this.stepAccumulator += seconds;
+        let steps = 0;
+
+        // Summed frame times fall a hair short of whole steps; do not let that cost a step
+        const due = this.stepSeconds - 1e-9;
+        while (this.gameRunning && this.stepAccumulator >= due && steps < this.maxStepsPerFrame) {
+            // Sliders animate in step time too, so a moving track behaves the same on every device
+            this.updateParameters(this.stepSeconds);
             this.update();
+            this.stepAccumulator -= this.stepSeconds;
+            steps++;
+        }
+
+        if (steps === this.maxStepsPerFrame) {
+            this.stepAccumulator = Math.min(this.stepAccumulator, this.stepSeconds);
         }
+        this.stepInterpolation = this.gameRunning ? Math.max(0, this.stepAccumulator) / this.stepSeconds : 1;
+    }
+
+    resetStepClock() {
+        this.stepAccumulator = 0;
+        this.stepInterpolation = 1;
     }
 
     drawGrid(p5) {
@@ -347,13 +512,26 @@ class Game {
 
     drawStars(p5) {
         this.stars.forEach(star => {
-            if (!star.collected) {
-                const screenX = this.mapToScreen(star.x, this.xMin, this.xMax, 0, this.canvasWidth);
-                const screenY = this.mapToScreen(-star.y, -this.yMax, -this.yMin, 0, this.canvasHeight);
+            const screenX = this.mapToScreen(star.x, this.xMin, this.xMax, 0, this.canvasWidth);
+            const screenY = this.mapToScreen(-star.y, -this.yMax, -this.yMin, 0, this.canvasHeight);
+
+            // With launchers, a collected star leaves a ring in the colour of the launcher that took it
+            const collector = star.collected && this.getLauncher(star.collectedBy);
+            if (collector) {
+                const ring = p5.color(collector.color);
+                ring.setAlpha(160);
+                p5.noFill();
+                p5.stroke(ring);
+                p5.strokeWeight(2);
+                p5.ellipse(screenX, screenY, 24, 24);
+            }
 
+            if (!star.collected) {
+                // A star kept for one launcher is drawn in its colour
+                const owner = this.getLauncher(star.launcher);
                 p5.fill(255, 215, 0);
-                p5.stroke(255, 165, 0);
-                p5.strokeWeight(2);
+                p5.stroke(owner ? owner.color : p5.color(255, 165, 0));
+                p5.strokeWeight(owner ? 3 : 2);
 
                 // Draw star shape
                 p5.push();
@@ -366,6 +544,53 @@ class Game {
         });
     }
 
+    /** The start point, or each of the level's launchers, with an arrow along its launch */
+    drawLaunchers(p5) {
+        if (this.launchers.length === 0) {
+            this.drawLauncher(p5, this.ui.getStartPosition(), this.launch, '#2563eb', true);
+            return;
+        }
+
+        const origin = this.getAimOrigin();
+        this.launchers.forEach(launcher => {
+            this.drawLauncher(p5, launcher, this.getLauncherAim(launcher), launcher.color, launcher === origin);
+
+            // Marble count, and the wait before they roll
+            const start = this.toScreen(launcher);
+            const delay = launcher.delay > 0 ? ` +${launcher.delay}s` : '';
+            p5.push();
+            p5.noStroke();
+            p5.fill(launcher.color);
+            p5.textSize(12);
+            p5.textAlign(p5.CENTER, p5.BOTTOM);
+            p5.text(`×${launcher.count}${delay}`, start.x, start.y - 8);
+            p5.pop();
+        });
+    }
+
+    /** A start dot and an arrow along the launch; a ring marks the tip players drag */
+    drawLauncher(p5, start, launch, color, isHandle) {
+        const from = this.toScreen(start);
+        const tip = this.toScreen(this.getLaunchTip(start, launch));
+        const canDrag = !this.isLaunchLocked('angle') || !this.isLaunchLocked('speed');
+
+        p5.push();
+        p5.stroke(color);
+        p5.strokeWeight(Math.max(2, this.canvasWidth / 300));
+        p5.line(from.x, from.y, tip.x, tip.y);
+
+        p5.noStroke();
+        p5.fill(color);
+        p5.ellipse(from.x, from.y, 10, 10);
+
+        if (isHandle) {
+            p5.stroke(color);
+            p5.fill(canDrag ? 255 : 191, canDrag ? 255 : 219, 254);
+            p5.ellipse(tip.x, tip.y, 14, 14);
+        }
+        p5.pop();
+    }
+
     drawStar(p5, x, y, radius1, radius2, npoints) {
         let angle = p5.TWO_PI / npoints;
         let halfAngle = angle / 2.0;
@@ -383,8 +608,9 @@ class Game {
 
     drawMarbles(p5) {
         this.marbles.forEach(marble => {
-            const screenX = this.mapToScreen(marble.position.x, this.xMin, this.xMax, 0, this.canvasWidth);
-            const screenY = this.mapToScreen(-marble.position.y, -this.yMax, -this.yMin, 0, this.canvasHeight);
+            const position = marble.getInterpolatedPosition(this.stepInterpolation);
+            const screenX = this.mapToScreen(position.x, this.xMin, this.xMax, 0, this.canvasWidth);
+            const screenY = this.mapToScreen(-position.y, -this.yMax, -this.yMin, 0, this.canvasHeight);
 
             // Draw trail
             if (marble.trail.length > 1) {
@@ -402,9 +628,14 @@ class Game {
                 }
             }
 
-            // Draw marble
-            p5.fill(70, 130, 220);
-            p5.stroke(50, 100, 180);
+            // Draw marble; a launcher's marbles wear its colour
+            if (marble.launcher) {
+                p5.fill(marble.color);
+                p5.stroke(p5.lerpColor(p5.color(marble.color), p5.color(0), 0.25));
+            } else {
+                p5.fill(70, 130, 220);
+                p5.stroke(50, 100, 180);
+            }
             p5.strokeWeight(Math.max(1, this.canvasWidth / 300));
             const marbleSize = Math.max(20, marble.radius * 80); // Minimum size for mobile
             p5.ellipse(screenX, screenY, marbleSize, marbleSize);
@@ -419,37 +650,28 @@ class Game {
     }
 
     update() {
-        let marblesInBounds = false;
-
-        const bounds = {
-            minX: this.xMin - 2,
-            maxX: this.xMax + 2,
-            minY: this.yMin - 5,
-            maxY: this.yMax + 2
-        };
-
-        this.marbles.forEach(marble => {
-            // Use new physics engine update
-            const result = this.physics.update(marble, 1, this.equations, this.stars);
-
-            // Handle star collections from physics result
-            if (result.starsCollected && result.starsCollected.length > 0) {
-                this.starsCollected += result.starsCollected.length;
-                this.ui.updateStats(this.starsCollected, this.stars.length);
-
-                if (this.starsCollected === this.stars.length) {
-                    this.completePuzzle();
-                }
-            }
-
-            // Check bounds
-            if (this.physics.checkBounds(marble, bounds)) {
-                marblesInBounds = true;
+        // Modes with marbleCollisions let marbles knock into each other; Classic lets them pass through
+        const { events, inBounds } = this.physics.updateRun(
+            this.marbles, this.equations, this.stars, this.getRunBounds(),
+            this.level?.marbleCollisions ?? this.mode.marbleCollisions
+        );
+
+        // Handle star collections from physics result, noting whose marble took each star
+        const starEvents = events.filter(event => event.type === 'star');
+        starEvents.forEach(({ star, marble }) => { star.collectedBy = marble.launcher; });
+        const collected = starEvents.length;
+        if (collected > 0) {
+            this.starsCollected += collected;
+            this.ui.updateStats(this.starsCollected, this.stars.length);
+            this.updateLauncherHud();
+
+            if (this.starsCollected === this.stars.length) {
+                this.completePuzzle();
             }
-        });
+        }
 
         // Stop simulation if all marbles are out of bounds
-        if (!marblesInBounds && this.marbles.length > 0) {
+        if (!inBounds && this.marbles.length > 0) {
             this.gameRunning = false;
             if (this.starsCollected < this.stars.length) {
                 // Reset all stars to uncollected when simulation fails
@@ -458,15 +680,41 @@ class Game {
                 });
                 this.starsCollected = 0;
                 this.ui.updateStats(this.starsCollected, this.stars.length);
+                this.updateLauncherHud();
                 this.ui.showFeedback('Try again! Adjust your equations to collect all stars.', 'info');
             }
         }
     }
 
+    /** The board with room to fly off the sides and fall out of the bottom */
+    getRunBounds() {
+        return {
+            minX: this.xMin - 2,
+            maxX: this.xMax + 2,
+            minY: this.yMin - 5,
+            maxY: this.yMax + 2
+        };
+    }
+
+    /** The puzzle on the board as a level for simulateRun */
+    getLevel() {
+        const launchers = this.level?.launchers;
+        return {
+            stars: this.stars.map(({ x, y, radius, launcher }) => launcher ? { x, y, radius, launcher } : { x, y, radius }),
+            ...(launchers?.length && { launchers }),
+            start: this.ui.getStartPosition(),
+            marbleCount: this.level?.marbleCount || this.mode.marbleCount || 3,
+            marbleCollisions: Boolean(this.level?.marbleCollisions ?? this.mode.marbleCollisions),
+            bounds: this.getRunBounds(),
+            launch: { ...this.getLaunchRules(), ...this.launch },
+            physics: this.physics.getOverrides()
+        };
+    }
+
     completePuzzle() {
         const timerBonus = this.mode.timer ? Math.ceil(this.timerRemaining * 5) : 0;
         const maxEquations = this.mode.maxEquations === Infinity ? 20 : this.mode.maxEquations;
-        const equationBonus = Math.max(0, maxEquations - this.equations.length) * 75;
+        const equationBonus = Math.max(0, maxEquations - this.getPlotCount()) * 75;
         const score = this.stars.length * 100 + timerBonus + equationBonus;
 
         this.gameRunning = false;
@@ -504,43 +752,128 @@ class Game {
         }
 
         const isEditing = this.editingIndex >= 0;
-        if (!isEditing && this.equations.length >= this.mode.maxEquations) {
-            const limit = this.mode.maxEquations;
-            this.ui.showFeedback(`${this.mode.name} allows ${limit} plotted equation${limit === 1 ? '' : 's'}.`, 'error');
-            return;
-        }
+        const previous = isEditing ? this.equations[this.editingIndex] : null;
+        const previousPlots = previous ? this.countPlots(previous) : 0;
 
         try {
-            const equation = this.equationParser.parseEquation(equationString);
+            const equation = this.parseEntry(equationString, previous);
+            const plots = this.countPlots(equation);
+
+            if (plots > previousPlots && this.getPlotCount() - previousPlots + plots > this.mode.maxEquations) {
+                const limit = this.mode.maxEquations;
+                const family = equation.members ? ` This list plots ${plots}.` : '';
+                this.equationParser.pruneParameters(this.equations);
+                this.ui.showFeedback(`${this.mode.name} allows ${limit} plotted equation${limit === 1 ? '' : 's'}.${family}`, 'error');
+                return;
+            }
+
+            const nextEquations = [...this.equations];
+            if (isEditing) {
+                // Definitions stay grey; a track keeps its colour through edits
+                if ((previous.type === 'definition') === (equation.type === 'definition')) {
+                    this.equationParser.setColor(equation, previous.color);
+                    equation.restitution = previous.restitution;
+                    equation.surface = previous.surface;
+                }
+                nextEquations[this.editingIndex] = equation;
+            } else {
+                nextEquations.push(equation);
+            }
+
+            if (equation.type === 'definition' || previous?.type === 'definition') {
+                this.applyDefinitions(nextEquations, [equation.name, previous?.name]);
+            }
+            this.equations = nextEquations;
+            this.physics.buildRails(equation);
 
             if (isEditing) {
-                const oldEquation = this.equations[this.editingIndex];
-                equation.color = oldEquation.color;
-                this.equations[this.editingIndex] = equation;
                 this.ui.showFeedback(`Equation updated: ${equation.original}`, 'info');
                 this.editingIndex = -1;
                 this.ui.setEditingState(false);
             } else {
-                this.equations.push(equation);
                 this.ui.showFeedback(`Equation added: ${equation.original}`, 'info');
             }
 
-            this.ui.updateEquationsList(this.equations, this.editingIndex);
+            this.refreshEquationsList();
             this.ui.clearInput();
         } catch (error) {
-            this.ui.showFeedback(error.message, 'error');
+            this.equationParser.pruneParameters(this.equations);
+            this.ui.showEquationError(error);
+        }
+    }
+
+    /** Parse a typed entry; an edited track keeps the type the player forced, unless the new text cannot be read that way */
+    parseEntry(equationString, previous = null) {
+        const type = previous?.type === 'definition' ? null : previous?.typeOverride;
+        if (!type) return this.equationParser.parseEquation(equationString);
+
+        try {
+            return this.equationParser.parseEquation(equationString, { type });
+        } catch (error) {
+            return this.equationParser.parseEquation(equationString);
+        }
+    }
+
+    /** Definitions (f(x) = ..., k = ...) do not count against the plot limit; each family member does */
+    getPlotCount() {
+        return this.equations.reduce((count, equation) => count + this.countPlots(equation), 0);
+    }
+
+    countPlots(equation) {
+        if (equation.type === 'definition') return 0;
+        return equation.members ? equation.members.length : 1;
+    }
+
+    /**
+     * Register the definitions in `equations` and re-parse every entry that
+     * mentions a changed name, so calls like f(x - k) pick up the new body.
+     * Throws (and restores the current definitions) on cycles or duplicates.
+     */
+    applyDefinitions(equations, changedNames) {
+        const parser = this.equationParser;
+
+        try {
+            parser.updateDefinitions(equations);
+            parser.findDependents(equations, changedNames).forEach(index => {
+                try {
+                    equations[index] = parser.reparseEquation(equations[index]);
+                } catch (error) {
+                    // Keep the previous parse if the entry no longer makes sense
+                }
+            });
+            parser.updateDefinitions(equations);
+        } catch (error) {
+            parser.updateDefinitions(this.equations);
+            throw error;
+        }
+    }
+
+    /**
+     * Input dialect for pasted text that looks like LaTeX, or null to paste
+     * it unchanged (plain text, or LaTeX that does not convert and will be
+     * reported when the equation is added).
+     */
+    convertPastedEquation(text) {
+        if (!this.equationParser.looksLikeLatex(text)) return null;
+        try {
+            return this.equationParser.fromLatex(text);
+        } catch (error) {
+            return null;
         }
     }
 
     removeEquation(index) {
         if (index >= 0 && index < this.equations.length) {
             const removed = this.equations.splice(index, 1)[0];
+            if (removed.type === 'definition') {
+                this.applyDefinitions(this.equations, [removed.name]);
+            }
             if (this.editingIndex === index) {
                 this.cancelEditEquation(false);
             } else if (this.editingIndex > index) {
                 this.editingIndex--;
             }
-            this.ui.updateEquationsList(this.equations, this.editingIndex);
+            this.refreshEquationsList();
             this.ui.showFeedback(`Equation removed: ${removed.original}`, 'info');
         }
     }
@@ -550,23 +883,93 @@ class Game {
             const equation = this.equations[index];
             this.editingIndex = index;
             this.ui.setEditingState(true, equation.original);
-            this.ui.updateEquationsList(this.equations, this.editingIndex);
+            this.refreshEquationsList();
             this.ui.showFeedback(`Editing equation ${index + 1}. Save when ready.`, 'info');
         }
     }
 
+    /** Plot an equation as another curve type, or as detected when type is null */
+    setEquationType(index, type) {
+        const equation = this.equations[index];
+        if (!equation || equation.type === 'definition') return;
+
+        try {
+            this.equations[index] = this.equationParser.reparseEquation(equation, type || null);
+            this.refreshEquationsList();
+            const label = this.ui.getTypeLabel(type || equation.detectedType);
+            this.ui.showFeedback(`${equation.original} plotted as ${label}${type ? '' : ' (detected)'}`, 'info');
+        } catch (error) {
+            this.refreshEquationsList();
+            this.ui.showFeedback(error.message, 'error');
+        }
+    }
+
+    /** Give a track its own restitution, or the engine's bounceCoefficient when null */
+    setEquationRestitution(index, restitution) {
+        const equation = this.equations[index];
+        if (!equation || equation.type === 'definition') return;
+
+        equation.restitution = restitution;
+        this.refreshEquationsList();
+        const label = restitution === null ? 'normal' : restitution;
+        this.ui.showFeedback(`${equation.original} bounces with restitution ${label}`, 'info');
+    }
+
+    /** Make a track solid on one side ('above', 'below') or 'both', or on its type's default side when null */
+    setEquationSurface(index, surface) {
+        const equation = this.equations[index];
+        if (!equation || equation.type === 'definition') return;
+
+        equation.surface = surface;
+        this.refreshEquationsList();
+        const side = this.ui.getSurfaceLabel(this.physics.getSurface(equation));
+        this.ui.showFeedback(`${equation.original} is solid ${side}${surface ? '' : ' (default)'}`, 'info');
+    }
+
     cancelEditEquation(showMessage = true) {
         this.editingIndex = -1;
         this.ui.clearInput();
         this.ui.setEditingState(false);
-        this.ui.updateEquationsList(this.equations, this.editingIndex);
+        this.refreshEquationsList();
         if (showMessage) {
             this.ui.showFeedback('Edit cancelled.', 'info');
         }
     }
 
+    /** Re-render the equation list and the sliders of the parameters still in use */
+    refreshEquationsList() {
+        this.equationParser.pruneParameters(this.equations);
+        this.ui.updateEquationsList(this.equations, this.editingIndex, this.equationParser.getParameters());
+    }
+
+    setParameter(name, changes) {
+        const parameter = this.equationParser.setParameter(name, changes);
+        if (!parameter) return;
+        this.moveTracks([name]);
+        this.ui.updateParameterControl(parameter);
+    }
+
+    toggleParameterPlay(name) {
+        const parameter = this.equationParser.parameters[name];
+        if (parameter) this.setParameter(name, { playing: !parameter.playing });
+    }
+
+    updateParameters(seconds) {
+        if (!Number.isFinite(seconds) || seconds <= 0) return;
+
+        // Cap the step so a backgrounded tab does not jump a whole sweep
+        const changed = this.equationParser.animateParameters(Math.min(seconds, 0.1));
+        if (changed.length > 0) this.moveTracks(changed.map(parameter => parameter.name));
+        changed.forEach(parameter => this.ui.updateParameterControl(parameter));
+    }
+
+    /** Resample the rails of tracks that follow the given sliders */
+    moveTracks(names) {
+        this.physics.dropRails(this.equationParser.findAffected(this.equations, names));
+    }
+
     launchMarbles() {
-        if (this.equations.length === 0) {
+        if (this.getPlotCount() === 0) {
             this.ui.showFeedback('Add at least one equation before launching marbles.', 'error');
             return;
         }
@@ -575,56 +978,171 @@ class Game {
         this.stars.forEach(star => star.collected = false);
         this.starsCollected = 0;
         this.ui.updateStats(this.starsCollected, this.stars.length);
-        this.marbles = [];
+        this.updateLauncherHud();
 
-        // Get starting position from UI
-        const startPos = this.ui.getStartPosition();
-        const startX = startPos.x;
-        const startY = startPos.y;
-
-        // Launch a fixed number of marbles per mode (independent of equation count)
-        const count = this.mode.marbleCount || 3;
-        const colors = ['#2563eb', '#dc2626', '#0f9f6e', '#9333ea', '#d97706', '#0891b2'];
-        const verticalSpacing = 0.32;
-        const horizontalSpacing = 0.08;
-        const velocitySpread = 0.03;
-        const centerOffset = (count - 1) / 2;
-        for (let i = 0; i < count; i++) {
-            const formationOffset = i - centerOffset;
-            const marble = new Marble(
-                startX + (formationOffset * horizontalSpacing),
-                startY - (formationOffset * verticalSpacing),
-                {
-                    vx: 0.5 + (formationOffset * velocitySpread),
-                    vy: -formationOffset * 0.01,
-                color: colors[i % colors.length]
-                }
-            );
-            // Pass stars reference to marble for path selection
-            marble.stars = this.stars;
-            this.marbles.push(marble);
-        }
+        // A fixed number of marbles per mode (independent of equation count), or each launcher's own
+        this.marbles = createLevelMarbles(this.getLevel(), this.launch);
+        const count = this.marbles.length;
+        // Pass stars reference to marble for path selection
+        this.marbles.forEach(marble => { marble.stars = this.stars; });
 
+        this.resetStepClock();
         this.gameRunning = true;
         this.startTimer();
         this.updateModeStats((stats) => ({
             ...stats,
             runs: (stats.runs || 0) + 1
         }));
-        this.ui.showFeedback(`${count} marble${count > 1 ? 's' : ''} launched from (${startX}, ${startY}).`, 'info');
+        const { angle, speed } = this.launch;
+        const { x, y } = this.ui.getStartPosition();
+        const from = this.launchers.length > 0
+            ? `${this.launchers.length} launcher${this.launchers.length > 1 ? 's' : ''}`
+            : `(${x}, ${y}) at ${angle}°, speed ${speed}`;
+        this.ui.showFeedback(`${count} marble${count > 1 ? 's' : ''} launched from ${from}.`, 'info');
+    }
+
+    /** The loaded level's launcher with this id, if any */
+    getLauncher(id) {
+        return id ? this.launchers.find(launcher => launcher.id === id) : undefined;
+    }
+
+    /** A launcher's own angle and speed, or the player's aim where it has none */
+    getLauncherAim(launcher) {
+        return { angle: launcher.angle ?? this.launch.angle, speed: launcher.speed ?? this.launch.speed };
+    }
+
+    /**
+     * Where the player's aim is dragged from: the start point, or the first
+     * launcher that takes its angle or speed from the player. Null when
+     * every launcher aims itself.
+     */
+    getAimOrigin() {
+        if (this.launchers.length === 0) return this.ui.getStartPosition();
+        return this.launchers.find(launcher => launcher.angle === undefined || launcher.speed === undefined) ?? null;
+    }
+
+    updateLauncherHud() {
+        this.ui.updateLauncherHud(this.launchers, this.stars);
+    }
+
+    /** The loaded level's launch rules; generated puzzles let the player aim anywhere */
+    getLaunchRules() {
+        return this.level?.launch ?? {};
+    }
+
+    /** Whether the level fixes the launch 'angle' or 'speed' to one value */
+    isLaunchLocked(field) {
+        const [min, max] = getLaunchRange(this.getLaunchRules(), field);
+        return min === max;
+    }
+
+    /** Aim the launch; `changes` holds an angle, a speed or both, clamped to what the level allows */
+    setLaunch(changes) {
+        this.launch = resolveLaunch(this.getLaunchRules(), { ...this.launch, ...changes });
+        this.ui.updateLaunchControls(this.launch, this.getLaunchRules());
+    }
+
+    /** Tip of a launch arrow from `start`: longer for faster launches, never too short to grab */
+    getLaunchTip(start, launch) {
+        const length = this.launchArrowBase + launch.speed * this.launchArrowScale;
+        const radians = launch.angle * Math.PI / 180;
+        return { x: start.x + Math.cos(radians) * length, y: start.y + Math.sin(radians) * length };
+    }
+
+    isOnLaunchHandle(screenX, screenY) {
+        const origin = this.getAimOrigin();
+        if (!origin || (this.isLaunchLocked('angle') && this.isLaunchLocked('speed'))) return false;
+        const tip = this.toScreen(this.getLaunchTip(origin, this.getLauncherAim(origin)));
+        return Math.hypot(screenX - tip.x, screenY - tip.y) <= this.launchHandleRadius;
+    }
+
+    /** Point the launch arrow's tip at a canvas position, in whole degrees and tenths of speed */
+    aimLaunch(screenX, screenY) {
+        const start = this.getAimOrigin();
+        if (!start) return;
+        const x = this.mapToScreen(screenX, 0, this.canvasWidth, this.xMin, this.xMax) - start.x;
+        const y = this.mapToScreen(screenY, 0, this.canvasHeight, this.yMax, this.yMin) - start.y;
+        const speed = Math.max(0, Math.hypot(x, y) - this.launchArrowBase) / this.launchArrowScale;
+
+        this.setLaunch({
+            angle: Math.round(Math.atan2(y, x) * 180 / Math.PI),
+            speed: Math.round(speed * 10) / 10
+        });
     }
 
     reset() {
         this.stopTimer();
         this.gameRunning = false;
         this.marbles = [];
+        this.resetStepClock();
         this.cancelEditEquation(false);
         this.stars.forEach(star => star.collected = false);
         this.starsCollected = 0;
         this.ui.updateStats(this.starsCollected, this.stars.length);
+        this.updateLauncherHud();
         this.ui.showFeedback('Game reset. Ready to launch!', 'info');
     }
 
+    /**
+     * Time drawing and simulating 10 equations with 4 marbles, once with native
+     * closures and once through math.js. Run from the console: game.runBenchmark()
+     * @param {Object} options - { frames } to simulate per compilation mode
+     * @returns {Object} Frames per second as { native, mathjs }
+     */
+    runBenchmark({ frames = 120 } = {}) {
+        const parser = this.equationParser;
+        const saved = {
+            equations: this.equations,
+            marbles: this.marbles,
+            gameRunning: this.gameRunning,
+            colorIndex: parser.colorIndex,
+            useNativeCompilation: parser.useNativeCompilation
+        };
+        const sources = [
+            'y = 0.5x + 2',
+            'y = sin(x) + 2',
+            'y = x^2/4 - 6 {x > -6}',
+            'x = y^2/8 - 9',
+            'y = {x < 0: -x/2, x^2/5}',
+            'y = 3 - |x - 2|',
+            'r = 2 + sin(3theta)',
+            '(5cos(t), 3sin(t))',
+            'x^2 + y^2 = 16',
+            'x^3 + y^3 = 20'
+        ];
+        const results = {};
+        this.gameRunning = false;
+
+        try {
+            [true, false].forEach(native => {
+                parser.useNativeCompilation = native;
+                this.equations = sources.map(source => parser.parseEquation(source));
+                this.marbles = [-8, -4, 0, 4].map(x => new Marble(x, 8, { vx: 0.5 }));
+
+                const start = performance.now();
+                for (let frame = 0; frame < frames; frame++) {
+                    if (this.equationRenderer) {
+                        this.equations.forEach(equation => {
+                            this.equationRenderer.drawEquation(equation, this.xMin, this.xMax, this.yMin, this.yMax, this.canvasWidth, this.canvasHeight);
+                        });
+                    }
+                    this.marbles.forEach(marble => this.physics.update(marble, 1, this.equations, []));
+                }
+                const seconds = (performance.now() - start) / 1000;
+                results[native ? 'native' : 'mathjs'] = Math.round(frames / seconds);
+            });
+        } finally {
+            parser.useNativeCompilation = saved.useNativeCompilation;
+            parser.colorIndex = saved.colorIndex;
+            this.equations = saved.equations;
+            this.marbles = saved.marbles;
+            this.gameRunning = saved.gameRunning;
+        }
+
+        this.ui.showFeedback(`Benchmark: ${results.native} fps native, ${results.mathjs} fps with math.js.`, 'info');
+        return results;
+    }
+
     generatePuzzle() {
         this.stars = [];
         this.starsCollected = 0;
@@ -1008,6 +1526,14 @@ class Game {
         }
     }
 
+    /** Canvas position of a point on the graph */
+    toScreen(point) {
+        return {
+            x: this.mapToScreen(point.x, this.xMin, this.xMax, 0, this.canvasWidth),
+            y: this.mapToScreen(-point.y, -this.yMax, -this.yMin, 0, this.canvasHeight)
+        };
+    }
+
     mapToScreen(value, min, max, screenMin, screenMax) {
         return screenMin + (value - min) * (screenMax - screenMin) / (max - min);
     }
@@ -0,0 +1,207 @@
+/**
+ * ============================================================================
+ * LATEX FORMATTER FOR PARSED EXPRESSIONS
+ * ============================================================================
+ *
+ * Writes the math.js node tree ExpressionParser builds as LaTeX for KaTeX:
+ * - Division as stacked \frac, nested roots as \sqrt and \sqrt[n]
+ * - Logarithms with their base as a subscript, e^x as a power
+ * - Products juxtaposed (2x, 3\sin\left(x\right)) unless a number follows
+ * - Parentheses only where precedence needs them, plus the player's own
+ * - sum(...) and prod(...) as \sum and \prod rather than their unrolled terms
+ * - EquationParser.fromLatex reads the output back to the same expression
+ *
+ * ============================================================================
+ */
+
+class LatexFormatter {
+    constructor() {
+        this.symbols = { pi: '\\pi', theta: '\\theta', tau: '\\tau', phi: '\\phi', Infinity: '\\infty' };
+
+        // Functions KaTeX typesets upright by name; the rest go through \operatorname
+        this.functions = {
+            sin: 'sin', cos: 'cos', tan: 'tan', sec: 'sec', csc: 'csc', cot: 'cot',
+            sinh: 'sinh', cosh: 'cosh', tanh: 'tanh', coth: 'coth',
+            asin: 'arcsin', acos: 'arccos', atan: 'arctan',
+            naturalLog: 'ln', log: 'ln', min: 'min', max: 'max'
+        };
+
+        this.relations = {
+            smaller: '<', larger: '>', smallerEq: '\\le', largerEq: '\\ge', equal: '=', unequal: '\\ne'
+        };
+
+        // Binding strength as written; anything not listed is an atom
+        this.precedence = {
+            or: 1, xor: 1, and: 2, not: 3, relation: 4,
+            add: 5, subtract: 5, multiply: 6, divide: 6, unaryMinus: 7, pow: 8, factorial: 9
+        };
+    }
+
+    /**
+     * @param {Object} node - math.js node tree
+     * @returns {string} LaTeX source
+     */
+    format(node) {
+        switch (node.type) {
+            case 'ConstantNode':
+                return this.formatNumber(node.value);
+
+            case 'SymbolNode':
+                return this.formatSymbol(node.name);
+
+            case 'ParenthesisNode':
+                if (node.series) return this.formatSeries(node.series);
+                return this.formatDegrees(node.content) ?? `\\left(${this.format(node.content)}\\right)`;
+
+            case 'FunctionNode':
+                return this.formatCall(node);
+
+            case 'RelationalNode':
+                return node.params.map(param => this.operand(param, this.precedence.add))
+                    .reduce((tex, param, index) => `${tex} ${this.relations[node.conditionals[index - 1]]} ${param}`);
+
+            case 'ConditionalNode':
+                return `\\begin{cases} ${this.format(node.trueExpr)} & ${this.format(node.condition)} \\\\ ` +
+                    `${this.format(node.falseExpr)} & \\text{otherwise} \\end{cases}`;
+
+            case 'OperatorNode':
+                return this.formatOperator(node);
+
+            case 'ArrayNode':
+                return `\\left[${node.items.map(item => this.format(item)).join(', ')}\\right]`;
+
+            default:
+                throw new Error(`Cannot typeset ${node.type}`);
+        }
+    }
+
+    precedenceOf(node) {
+        if (node.isRelationalNode) return this.precedence.relation;
+        if (!node.isOperatorNode) return Infinity;
+        if (this.relations[node.fn]) return this.precedence.relation;
+        return this.precedence[node.fn] ?? Infinity;
+    }
+
+    /** Format a child, in parentheses when it binds looser than `minimum` */
+    operand(node, minimum) {
+        const tex = this.format(node);
+        return this.precedenceOf(node) < minimum ? `\\left(${tex}\\right)` : tex;
+    }
+
+    /** Format a child whose position already groups it (fraction, exponent, root) */
+    grouped(node) {
+        return this.format(node.isParenthesisNode ? node.content : node);
+    }
+
+    formatOperator(node) {
+        const [a, b] = node.args;
+        const level = this.precedenceOf(node);
+
+        if (this.relations[node.fn]) {
+            return `${this.operand(a, this.precedence.add)} ${this.relations[node.fn]} ${this.operand(b, this.precedence.add)}`;
+        }
+
+        switch (node.fn) {
+            case 'or':
+            case 'xor':
+            case 'and':
+                return `${this.operand(a, level)} \\text{ ${node.fn} } ${this.operand(b, level + 1)}`;
+            case 'not':
+                return `\\text{not } ${this.operand(a, this.precedence.relation)}`;
+            case 'add':
+                return `${this.operand(a, level)} + ${this.operand(b, level)}`;
+            case 'subtract':
+                return `${this.operand(a, level)} - ${this.operand(b, level + 1)}`;
+            case 'multiply':
+                return this.formatProduct(this.operand(a, level), this.operand(b, this.precedence.pow));
+            case 'divide':
+                return `\\frac{${this.grouped(a)}}{${this.grouped(b)}}`;
+            case 'unaryMinus':
+                return `-${this.operand(a, this.precedence.multiply)}`;
+            case 'pow':
+                return `${this.operand(a, this.precedence.factorial)}^{${this.grouped(b)}}`;
+            case 'factorial':
+                return `${this.operand(a, Infinity)}!`;
+            default:
+                throw new Error(`Cannot typeset ${node.fn}`);
+        }
+    }
+
+    /** 2x and x\sin x, but 2 \cdot 3 and 2 \cdot \frac{1}{2} so numbers stay apart */
+    formatProduct(left, right) {
+        if (/^([\d.-]|\\frac)/.test(right)) return `${left} \\cdot ${right}`;
+        if (/[a-zA-Z]$/.test(left) && /^[a-zA-Z]/.test(right)) return `${left} ${right}`;
+        return `${left}${right}`;
+    }
+
+    formatNumber(value) {
+        if (typeof value !== 'number') return `\\text{${value}}`;
+        if (value === Infinity) return '\\infty';
+
+        const text = String(value);
+        const [mantissa, exponent] = text.split('e');
+        return exponent === undefined ? text : `${mantissa} \\times 10^{${Number(exponent)}}`;
+    }
+
+    formatSymbol(name) {
+        if (this.symbols[name]) return this.symbols[name];
+
+        const subscript = name.match(/^([a-zA-Z])_(\w+)$/);
+        if (subscript) return `${subscript[1]}_{${subscript[2]}}`;
+        return name.length === 1 ? name : `\\mathrm{${name}}`;
+    }
+
+    /** The parser reads 30° as (30 pi / 180); show it the way it was typed */
+    formatDegrees(node) {
+        const isDegrees = node.isOperatorNode && node.fn === 'divide' &&
+            node.args[1].isConstantNode && node.args[1].value === 180 &&
+            node.args[0].isOperatorNode && node.args[0].fn === 'multiply' &&
+            node.args[0].args[1].isSymbolNode && node.args[0].args[1].name === 'pi';
+        return isDegrees ? `${this.operand(node.args[0].args[0], Infinity)}^{\\circ}` : null;
+    }
+
+    formatSeries({ kind, index, from, to, body }) {
+        return `\\${kind}_{${this.formatSymbol(index)}=${this.format(from)}}^{${this.format(to)}}` +
+            `\\left(${this.format(body)}\\right)`;
+    }
+
+    formatCall(node) {
+        const name = node.fn.name;
+        const args = node.args;
+        const list = () => `\\left(${args.map(arg => this.format(arg)).join(', ')}\\right)`;
+
+        switch (name) {
+            case 'sqrt':
+                return `\\sqrt{${this.grouped(args[0])}}`;
+            case 'cbrt':
+                return `\\sqrt[3]{${this.grouped(args[0])}}`;
+            case 'root':
+                return `\\sqrt[${this.grouped(args[0])}]{${this.grouped(args[1])}}`;
+            case 'nthroot':
+                return `\\sqrt[${this.grouped(args[1])}]{${this.grouped(args[0])}}`;
+            case 'abs':
+                return `\\left|${this.format(args[0])}\\right|`;
+            case 'exp':
+                return `e^{${this.grouped(args[0])}}`;
+            case 'logBase': {
+                // log(x) already means base 10; an expression base keeps the log(b, x) form
+                const [value, base] = args;
+                if (base.isConstantNode && base.value === 10) return `\\log\\left(${this.format(value)}\\right)`;
+                if (base.isConstantNode || base.isSymbolNode) {
+                    return `\\log_{${this.format(base)}}\\left(${this.format(value)}\\right)`;
+                }
+                return `\\log\\left(${this.format(base)}, ${this.format(value)}\\right)`;
+            }
+        }
+
+        if (this.functions[name]) return `\\${this.functions[name]}${list()}`;
+
+        // A player's f(x) reads as itself; other built-ins are named upright
+        const isUserFunction = /^[a-zA-Z](_\w+)?$/.test(name);
+        return `${isUserFunction ? this.formatSymbol(name) : `\\operatorname{${name}}`}${list()}`;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.LatexFormatter = LatexFormatter;
+}
@@ -248,7 +248,8 @@ class MathKeyboard {
         const newPos = pos + value.length;
         this.input.focus();
         this.input.setSelectionRange(newPos, newPos);
-        this.updatePreview();
+        // Let listeners (preview, error underline) react as if the user typed
+        this.input.dispatchEvent(new Event('input'));
     }
 
     handleAction(action) {
@@ -260,11 +261,13 @@ class MathKeyboard {
             this.input.value = value.slice(0, pos - count) + value.slice(pos);
             this.input.focus();
             this.input.setSelectionRange(pos - count, pos - count);
+            this.input.dispatchEvent(new Event('input'));
         }
 
         if (action === 'clear') {
             this.input.value = '';
             this.input.focus();
+            this.input.dispatchEvent(new Event('input'));
         }
 
         if (action === 'left' && pos > 0) {
@@ -323,8 +326,23 @@ class MathKeyboard {
         this.previewElement.textContent = value;
     }
 
+    /**
+     * Preview LaTeX, typeset from the same parse tree the game plots. Before
+     * the game has loaded, or while the input does not parse yet, the text is
+     * marked up as typed instead; fromLatex reads either form back.
+     */
     toLatex(expression) {
+        const parser = window.game?.equationParser;
+        if (parser) {
+            try {
+                return parser.toLatex(expression);
+            } catch (error) {
+                // Half-typed input: fall through to the plain markup
+            }
+        }
+
         return expression
+            .replace(/[{}]/g, '\\$&')
             .replace(/sqrt\(([^)]+)\)/g, '\\sqrt{$1}')
             .replace(/abs\(([^)]+)\)/g, '|$1|')
             .replace(/log10\(/g, '\\log_{10}(')
@@ -332,8 +350,8 @@ class MathKeyboard {
             .replace(/>=/g, '\\geq ')
             .replace(/<=/g, '\\leq ')
             .replace(/!=/g, '\\neq ')
-            .replace(/theta/g, '\\theta')
-            .replace(/pi/g, '\\pi')
+            .replace(/theta/g, '\\theta ')
+            .replace(/pi/g, '\\pi ')
             .replace(/\^(\d+)/g, '^{$1}')
             .replace(/\^([a-zA-Z])/g, '^{$1}');
     }
@@ -8,9 +8,19 @@
  * - Tangent-based motion along curves
  * - Normal force preventing falling through curves
  * - Smooth path snapping and detachment
+ * - Hard landings bounce with the track's restitution instead of sticking
+ * - One-sided tracks that marbles ride on one side of and pass through from the other
  * - Support for explicit_y, explicit_x, implicit, polar, parametric curves
+ * - Inequality regions as solid bodies with a rollable top edge
+ * - Curves sampled once into rails, filed in a uniform grid for closest-point queries
+ * - Adaptive substeps and swept star and curve collisions for fast marbles
  * - Star collision detection
+ * - Marble-to-marble collisions with restitution and mass
  * - World boundary handling
+ * - Launches at a chosen angle and speed, within ranges a level may lock
+ * - Several launchers per level, with delays and stars only their marbles collect
+ * - Headless, deterministic runs of a whole level with simulateRun
+ * - Physics presets (Moon, Ice, Molasses) and per-mode or per-level overrides
  * 
  * ============================================================================
  */
@@ -124,6 +134,175 @@ class Vector2D {
     }
 }
 
+// ============================================================================
+// RAILS
+// ============================================================================
+
+/**
+ * A curve sampled once into a polyline, with the arc length to every
+ * vertex and its segments filed in a uniform grid. A closest-point query
+ * only looks at the segments in the cells around the marble, and answers
+ * with the stretch of the curve's own parameter (x, y, theta or t) to
+ * refine analytically, so the physics still sees the exact curve.
+ */
+class Rail {
+    /**
+     * @param {Function} pointAt - Point of the curve at a parameter; non-finite where it is undefined
+     * @param {Object} range - { min, max } of the parameter
+     * @param {Object} options - { step: parameter spacing, maxSamples, limit: |x| and |y| kept,
+     *   cellSize: grid cell width, window: how far from a hint findInterval looks by default,
+     *   open: the range is only a window onto a longer curve }
+     */
+    constructor(pointAt, range, options = {}) {
+        const count = Math.max(1, Math.min(options.maxSamples ?? 4000, Math.ceil((range.max - range.min) / options.step)));
+        const limit = options.limit ?? 50;
+
+        this.cellSize = options.cellSize ?? 1;
+        this.window = options.window ?? Infinity;
+        this.open = options.open ?? false;
+        this.parameters = new Float64Array(count + 1);
+        this.xs = new Float64Array(count + 1);
+        this.ys = new Float64Array(count + 1);
+        this.lengths = new Float64Array(count + 1);
+        /** 1 where the curve runs on past the limit, so the rail stops short of it */
+        this.clipped = new Uint8Array(count + 1);
+        this.cells = new Map();
+
+        const evaluate = (parameter) => {
+            try {
+                const point = pointAt(parameter);
+                return Number.isFinite(point.x) && Number.isFinite(point.y) ? point : null;
+            } catch (e) {
+                return null;
+            }
+        };
+        const isKept = (point) => Math.abs(point.x) <= limit && Math.abs(point.y) <= limit;
+        const sample = (parameter) => {
+            const point = evaluate(parameter);
+            return point && isKept(point) ? point : null;
+        };
+
+        let previous = null;
+        for (let i = 0; i <= count; i++) {
+            const parameter = range.min + (range.max - range.min) * i / count;
+            const evaluated = evaluate(parameter);
+            const point = evaluated && isKept(evaluated) ? evaluated : null;
+            this.clipped[i] = evaluated && !point ? 1 : 0;
+            this.parameters[i] = parameter;
+            this.xs[i] = point ? point.x : NaN;
+            this.ys[i] = point ? point.y : NaN;
+            this.lengths[i] = i > 0 ? this.lengths[i - 1] : 0;
+
+            const middleAt = () => sample((this.parameters[i - 1] + parameter) / 2);
+            if (point && previous && this.isContinuous(previous, point, middleAt)) {
+                this.lengths[i] += Math.hypot(point.x - previous.x, point.y - previous.y);
+                this.fileSegment(i - 1);
+            }
+            previous = point;
+        }
+
+        /** Total arc length of the curve's connected pieces */
+        this.length = this.lengths[count];
+    }
+
+    /**
+     * Whether two neighbouring samples belong to one piece of the curve: a
+     * long segment whose midpoint strays from the chord jumps across an
+     * asymptote or between pieces, and is left out
+     */
+    isContinuous(a, b, middleAt) {
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        if (length <= this.cellSize) return true;
+
+        const middle = middleAt();
+        if (!middle) return false;
+        const stray = Math.hypot(middle.x - (a.x + b.x) / 2, middle.y - (a.y + b.y) / 2);
+        return stray <= length / 4;
+    }
+
+    cellKey(cx, cy) {
+        return (cx + 32768) * 65536 + (cy + 32768);
+    }
+
+    /** File segment i (vertex i to i + 1) under every cell its bounding box touches */
+    fileSegment(i) {
+        const minX = Math.floor(Math.min(this.xs[i], this.xs[i + 1]) / this.cellSize);
+        const maxX = Math.floor(Math.max(this.xs[i], this.xs[i + 1]) / this.cellSize);
+        const minY = Math.floor(Math.min(this.ys[i], this.ys[i + 1]) / this.cellSize);
+        const maxY = Math.floor(Math.max(this.ys[i], this.ys[i + 1]) / this.cellSize);
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const key = this.cellKey(cx, cy);
+                const segments = this.cells.get(key);
+                if (segments) segments.push(i);
+                else this.cells.set(key, [i]);
+            }
+        }
+    }
+
+    /**
+     * The closest segment within `range` of `pos`, as the parameter
+     * interval to refine on: one sample either side of the segment, so the
+     * true closest point is inside even where the polyline cuts a corner.
+     * With a hint, only segments within `window` of it in parameter count.
+     * @returns {Object|null} { min, max, distance, arcLength }
+     */
+    findInterval(pos, range, hint = null, window = this.window) {
+        const minCellX = Math.floor((pos.x - range) / this.cellSize);
+        const maxCellX = Math.floor((pos.x + range) / this.cellSize);
+        const minCellY = Math.floor((pos.y - range) / this.cellSize);
+        const maxCellY = Math.floor((pos.y + range) / this.cellSize);
+        const hasHint = Number.isFinite(hint);
+
+        let best = -1;
+        let bestDistanceSq = range * range;
+        let bestFraction = 0;
+
+        for (let cx = minCellX; cx <= maxCellX; cx++) {
+            for (let cy = minCellY; cy <= maxCellY; cy++) {
+                const segments = this.cells.get(this.cellKey(cx, cy));
+                if (!segments) continue;
+
+                for (const i of segments) {
+                    if (hasHint && (this.parameters[i + 1] < hint - window || this.parameters[i] > hint + window)) continue;
+
+                    const ax = this.xs[i];
+                    const ay = this.ys[i];
+                    const dx = this.xs[i + 1] - ax;
+                    const dy = this.ys[i + 1] - ay;
+                    const lengthSq = dx * dx + dy * dy;
+                    const fraction = lengthSq > 0
+                        ? Math.min(1, Math.max(0, ((pos.x - ax) * dx + (pos.y - ay) * dy) / lengthSq))
+                        : 0;
+                    const ex = ax + dx * fraction - pos.x;
+                    const ey = ay + dy * fraction - pos.y;
+                    const distanceSq = ex * ex + ey * ey;
+
+                    if (distanceSq < bestDistanceSq) {
+                        best = i;
+                        bestDistanceSq = distanceSq;
+                        bestFraction = fraction;
+                    }
+                }
+            }
+        }
+
+        const last = this.parameters.length - 1;
+        // A marble at the edge of an open rail, or where the curve runs past the
+        // limit, has left the stretch of curve it covers
+        if (best < 0 || (this.open && (best === 0 || best === last - 1))) return null;
+        if (this.clipped[best - 1] || this.clipped[best + 2]) return null;
+
+        return {
+            min: this.parameters[Math.max(0, best - 1)],
+            max: this.parameters[Math.min(last, best + 2)],
+            distance: Math.sqrt(bestDistanceSq),
+            arcLength: this.lengths[best] + (this.lengths[best + 1] - this.lengths[best]) * bestFraction
+        };
+    }
+}
+
 // ============================================================================
 // PHYSICS ENGINE CLASS
 // ============================================================================
@@ -179,9 +358,25 @@ class PhysicsEngine {
         /** Maximum slope angle before automatic detachment (radians) */
         this.maxSlopeAngle = config.maxSlopeAngle ?? Math.PI / 3; // 60 degrees
 
-        /** Bounce coefficient for collisions */
+        /** Bounce coefficient for collisions; a track's own restitution overrides it */
         this.bounceCoefficient = config.bounceCoefficient ?? 0.6;
 
+        /** Restitution of marble-to-marble collisions */
+        this.marbleRestitution = config.marbleRestitution ?? 0.8;
+
+        /** Speed into (or off) a track above which the marble bounces instead of landing on it */
+        this.bounceThreshold = config.bounceThreshold ?? 3;
+
+        /**
+         * Side of each curve type marbles land on unless its equation picks
+         * one: 'above', 'below' or 'both'. Graphs of y are floors; other
+         * types catch marbles from either side.
+         */
+        this.surfaceDefaults = config.surfaceDefaults ?? { explicit_y: 'above', constant_y: 'above', piecewise: 'above' };
+
+        /** Share of its depth a marble is pushed out of a strict (<, >) region per step */
+        this.softRegionCorrection = config.softRegionCorrection ?? 0.25;
+
         /** Minimum velocity magnitude (prevent floating point issues) */
         this.minVelocity = config.minVelocity ?? 0.001;
 
@@ -190,6 +385,51 @@ class PhysicsEngine {
 
         /** Numerical search resolution for closest point */
         this.searchResolution = config.searchResolution ?? 0.05;
+
+        /** Distance past a curve's endpoint before the marble rolls off it */
+        this.endpointTolerance = config.endpointTolerance ?? 0.001;
+
+        /** Longest move in one substep, away from curves and within proximityRange of one */
+        this.maxStepTravel = config.maxStepTravel ?? 0.3;
+        this.nearStepTravel = config.nearStepTravel ?? 0.2;
+        this.proximityRange = config.proximityRange ?? 1;
+
+        /** Most substeps one update may be split into */
+        this.maxSubsteps = config.maxSubsteps ?? 8;
+
+        /** How far short of a curve a marble that flew through it is put back */
+        this.crossingClearance = config.crossingClearance ?? 0.001;
+
+        /** Whether curves are sampled into rails for closest-point queries, or searched directly */
+        this.useRails = config.useRails ?? true;
+
+        /** Parameter spacing of rail samples, and the width of the grid cells they are filed in */
+        this.railStep = config.railStep ?? this.searchResolution;
+        this.railCellSize = config.railCellSize ?? 1;
+
+        /** Rails cover |x| and |y| up to this: the board with room for marbles flying off it */
+        this.railExtent = config.railExtent ?? 20;
+
+        /**
+         * Curves farther than this from a marble are not analysed at all.
+         * Nothing looks further: proximityRange, plus one move and
+         * attachDistance for the crossing check.
+         */
+        this.railRange = config.railRange ?? 2;
+
+        /** Rail of each curve object, built once */
+        this.rails = new WeakMap();
+    }
+
+    /**
+     * The PHYSICS_SETTINGS this engine holds that differ from a default
+     * engine's, as the physics a level carries: { gravity: -1.62 }
+     */
+    getOverrides() {
+        const defaults = new PhysicsEngine();
+        return Object.fromEntries(Object.keys(PHYSICS_SETTINGS)
+            .filter(key => this[key] !== defaults[key])
+            .map(key => [key, this[key]]));
     }
 
     // ========================================================================
@@ -209,20 +449,71 @@ class PhysicsEngine {
             starsCollected: [],
             outOfBounds: false,
             detached: false,
-            attached: false
+            attached: false,
+            bounced: false
         };
 
         // Scale dt by time factor
         const scaledDt = dt * this.timeScale;
 
         // Store previous state
-        const wasOnPath = marble.onPath;
-        const previousPosition = marble.position.clone();
+        marble.previousPosition = marble.position.clone();
+
+        // -------------------------------------------------------------------
+        // STEPS 1-4, split into substeps: a fast marble takes several short
+        // moves, shortest near a curve, so it cannot jump past a track
+        // -------------------------------------------------------------------
+        let remaining = scaledDt;
+        for (let substep = 1; remaining > 0; substep++) {
+            const pathInfo = this.findBestPath(marble, equations);
+            const count = substep < this.maxSubsteps
+                ? this.countSubsteps(marble, pathInfo, remaining, this.maxSubsteps - substep + 1)
+                : 1;
+            const stepDt = remaining / count;
+
+            this.step(marble, pathInfo, stepDt, equations, stars, result);
+            remaining -= stepDt;
+        }
 
         // -------------------------------------------------------------------
-        // STEP 1: Find nearest path and determine if marble should be on it
+        // STEP 5: Update trail
         // -------------------------------------------------------------------
-        const pathInfo = this.findBestPath(marble, equations);
+        marble.updateTrail();
+
+        // -------------------------------------------------------------------
+        // STEP 6: Clamp minimum velocity
+        // -------------------------------------------------------------------
+        if (marble.velocity.magnitude() < this.minVelocity) {
+            // Give a tiny nudge in the direction of travel or gravity
+            if (marble.velocity.magnitude() > 0) {
+                marble.velocity = marble.velocity.normalize().mul(this.minVelocity * 2);
+            } else {
+                marble.velocity = new Vector2D(0.01, this.gravity * 0.01);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * How many equal substeps the rest of this update needs so that no
+     * single move is longer than maxStepTravel, or nearStepTravel within
+     * proximityRange of a curve
+     */
+    countSubsteps(marble, pathInfo, dt, limit) {
+        const isNear = Boolean(pathInfo) && pathInfo.distance < this.proximityRange;
+        const travel = marble.velocity.magnitude() * dt;
+        const count = Math.ceil(travel / (isNear ? this.nearStepTravel : this.maxStepTravel));
+        return Math.min(limit, Math.max(1, count));
+    }
+
+    /**
+     * One substep: settle the path state for `pathInfo`, move, and collect
+     * the stars swept on the way. Events are added to `result`.
+     */
+    step(marble, pathInfo, dt, equations, stars, result) {
+        const wasOnPath = marble.onPath;
+        const start = marble.position.clone();
 
         // -------------------------------------------------------------------
         // STEP 2: Determine path state (on path, transitioning, or free fall)
@@ -238,11 +529,13 @@ class PhysicsEngine {
                 }
                 marble.onPath = true;
                 marble.currentEquation = pathInfo.equation;
+                marble.lastEquation = pathInfo.equation;
                 marble.pathParameter = pathInfo.parameter ?? null;
                 marble.pathParameterType = pathInfo.parameterType ?? null;
+                marble.pathTrack = pathInfo.track ?? null;
 
                 // Apply path-following physics
-                this.updateOnPath(marble, pathInfo, scaledDt);
+                this.updateOnPath(marble, pathInfo, dt);
 
                 // Check if should detach (too steep, etc.)
                 if (this.shouldDetachFromPath(marble, pathInfo)) {
@@ -250,6 +543,7 @@ class PhysicsEngine {
                     marble.currentEquation = null;
                     marble.pathParameter = null;
                     marble.pathParameterType = null;
+                    marble.pathTrack = null;
                     result.detached = true;
                 }
             } else {
@@ -257,7 +551,8 @@ class PhysicsEngine {
                 marble.currentEquation = null;
                 marble.pathParameter = null;
                 marble.pathParameterType = null;
-                this.updateInAir(marble, scaledDt);
+                marble.pathTrack = null;
+                this.updateInAir(marble, dt);
             }
         } else {
             // Too far from any path - free fall
@@ -266,44 +561,69 @@ class PhysicsEngine {
             }
             marble.onPath = false;
             marble.currentEquation = null;
+            marble.lastEquation = null;
             marble.pathParameter = null;
             marble.pathParameterType = null;
-            this.updateInAir(marble, scaledDt);
+            marble.pathTrack = null;
+            this.updateInAir(marble, dt);
         }
 
         // -------------------------------------------------------------------
-        // STEP 3: Update position
+        // STEP 3: Update position, stopping on (or bouncing off) any curve flown through
         // -------------------------------------------------------------------
-        marble.position = marble.position.add(marble.velocity.mul(scaledDt));
+        marble.position = marble.position.add(marble.velocity.mul(dt));
+        // The curve can only have been crossed if the move was longer than the gap to it,
+        // give or take attachDistance for a closest point that is only approximate;
+        // a region's edge is left to resolveRegions, which bounces the marble back out,
+        // and a one-sided track is only solid to marbles coming from its surface side
+        const move = start.distanceTo(marble.position);
+        const mayCross = !marble.onPath && pathInfo && !pathInfo.region && pathInfo.distance <= move + this.attachDistance;
+        if (mayCross && this.isSolidSide(start, pathInfo, marble)) {
+            const crossing = this.findCrossing(marble, start, pathInfo);
+            if (crossing && this.getImpactSpeed(marble, pathInfo) > this.bounceThreshold) {
+                this.bounceOffPath(marble, pathInfo, crossing);
+                result.bounced = true;
+            } else if (crossing) {
+                marble.position = crossing;
+            }
+        }
+        if (this.resolveRegions(marble, equations)) result.bounced = true;
 
         // -------------------------------------------------------------------
-        // STEP 4: Check star collisions
+        // STEP 4: Check star collisions along the whole move
+        // A star tagged with a launcher only counts for that launcher's marbles
         // -------------------------------------------------------------------
         for (const star of stars) {
-            if (!star.collected && this.checkCollision(marble, star)) {
+            const forMarble = !star.launcher || star.launcher === marble.launcher;
+            if (!star.collected && forMarble && this.checkSweptCollision(marble, start, star)) {
                 star.collected = true;
                 result.starsCollected.push(star);
             }
         }
+    }
 
-        // -------------------------------------------------------------------
-        // STEP 5: Update trail
-        // -------------------------------------------------------------------
-        marble.updateTrail();
-
-        // -------------------------------------------------------------------
-        // STEP 6: Clamp minimum velocity
-        // -------------------------------------------------------------------
-        if (marble.velocity.magnitude() < this.minVelocity) {
-            // Give a tiny nudge in the direction of travel or gravity
-            if (marble.velocity.magnitude() > 0) {
-                marble.velocity = marble.velocity.normalize().mul(this.minVelocity * 2);
-            } else {
-                marble.velocity = new Vector2D(0.01, this.gravity * 0.01);
-            }
-        }
-
-        return result;
+    /**
+     * Where a marble in flight passed through the curve of `pathInfo` during
+     * its last move, or null. The side of the curve is measured along the
+     * normal at the closest point before and after the move; the crossing
+     * is returned just short of the curve so the next step lands on it.
+     */
+    findCrossing(marble, start, pathInfo) {
+        const normal = pathInfo.normal.normalize();
+        const before = start.sub(Vector2D.fromObject(pathInfo.closestPoint)).dot(normal);
+        if (before === 0) return null;
+
+        const afterInfo = this.analyzePathAtPoint(marble, pathInfo.equation);
+        if (!afterInfo) return null;
+        const after = marble.position.sub(Vector2D.fromObject(afterInfo.closestPoint)).dot(normal);
+        if (Math.sign(after) === Math.sign(before)) return null;
+
+        // Both closest points must lie on the stretch of curve the move spans, not across a gap
+        const span = Vector2D.fromObject(pathInfo.closestPoint).distanceTo(Vector2D.fromObject(afterInfo.closestPoint));
+        if (span > start.distanceTo(marble.position) + this.attachDistance) return null;
+
+        const crossing = start.lerp(marble.position, before / (before - after));
+        return crossing.add(normal.mul(Math.sign(before) * this.crossingClearance));
     }
 
     // ========================================================================
@@ -385,8 +705,17 @@ class PhysicsEngine {
      * Check if marble should attach to a path
      */
     shouldAttachToPath(marble, pathInfo) {
-        // Always attach if not moving fast perpendicular to path
+        if (this.isPassThrough(marble, pathInfo)) {
+            return false;
+        }
+
+        // A marble moving fast into a track bounces off it, and one leaving fast flies free
         const normalSpeed = Math.abs(marble.velocity.dot(pathInfo.normal.normalize()));
+        if (normalSpeed > this.bounceThreshold) {
+            return false;
+        }
+
+        // Always attach if not moving fast perpendicular to path
         const tangentSpeed = Math.abs(marble.velocity.dot(pathInfo.tangent.normalize()));
 
         // If moving mostly along the path, or approaching it, attach
@@ -408,6 +737,76 @@ class PhysicsEngine {
         return false;
     }
 
+    // ========================================================================
+    // SURFACES
+    // ========================================================================
+
+    /** The side a track is solid on when its equation does not choose one */
+    getDefaultSurface(equation) {
+        const type = equation.members ? equation.members[0].type : equation.type;
+        return this.surfaceDefaults[type] ?? 'both';
+    }
+
+    /** 'above', 'below' or 'both' */
+    getSurface(equation) {
+        return equation.surface ?? this.getDefaultSurface(equation);
+    }
+
+    /**
+     * Whether `point` lies on a solid side of the path. Above and below are
+     * measured along the normal turned to point up, so the vertical stretch
+     * of a one-sided track is solid from both sides; region edges always are.
+     * Up to the marble's radius past the track it last rode still counts as
+     * the solid side: a marble leaving a track can sink into it a little.
+     */
+    isSolidSide(point, pathInfo, marble = null) {
+        const surface = pathInfo.region ? 'both' : this.getSurface(pathInfo.equation);
+        if (surface === 'both') return true;
+
+        const normal = pathInfo.normal.normalize();
+        if (Math.abs(normal.y) < 1e-9) return true;
+
+        const up = normal.y > 0 ? normal : normal.mul(-1);
+        const outward = surface === 'above' ? up : up.mul(-1);
+        const depth = Vector2D.fromObject(pathInfo.closestPoint).sub(point).dot(outward);
+        if (depth <= 0) return true;
+        return marble !== null && marble.lastEquation === pathInfo.equation && depth <= marble.radius;
+    }
+
+    /** Whether a marble meets a one-sided track from the side it passes through; one riding the track stays on */
+    isPassThrough(marble, pathInfo) {
+        if (marble.onPath && marble.currentEquation === pathInfo.equation) return false;
+        return !this.isSolidSide(marble.position, pathInfo, marble);
+    }
+
+    // ========================================================================
+    // IMPACTS
+    // ========================================================================
+
+    /** Restitution of a track: its own, or the engine's bounceCoefficient */
+    getRestitution(equation) {
+        return equation?.restitution ?? this.bounceCoefficient;
+    }
+
+    /** Speed at which the marble moves against a path's normal, whichever way the normal points */
+    getImpactSpeed(marble, pathInfo) {
+        return Math.abs(marble.velocity.dot(pathInfo.normal.normalize()));
+    }
+
+    /**
+     * Reflect the normal velocity of a marble that flew into a path at
+     * `contact`, scaled by the track's restitution. The tangential part is
+     * kept, so a glancing hit skips along the track.
+     */
+    bounceOffPath(marble, pathInfo, contact) {
+        const normal = pathInfo.normal.normalize();
+        const normalSpeed = marble.velocity.dot(normal);
+        const restitution = this.getRestitution(pathInfo.equation);
+
+        marble.position = contact;
+        marble.velocity = marble.velocity.sub(normal.mul((1 + restitution) * normalSpeed));
+    }
+
     /**
      * Check if marble should detach from path
      */
@@ -417,9 +816,9 @@ class PhysicsEngine {
 
         // -------------------------------------------------------------------
         // Detach if slope is too steep and marble is moving too slow
-        // (Would fall off in reality)
+        // (Would fall off in reality; a region's solid edge holds it instead)
         // -------------------------------------------------------------------
-        if (slopeAngle > this.maxSlopeAngle) {
+        if (slopeAngle > this.maxSlopeAngle && !pathInfo.region) {
             const speed = marble.velocity.magnitude();
             if (speed < this.detachThreshold) {
                 return true;
@@ -428,10 +827,11 @@ class PhysicsEngine {
 
         // -------------------------------------------------------------------
         // Detach if centrifugal force exceeds normal force
-        // For curves with high curvature at high speeds
+        // For curves with high curvature at high speeds; a region's edge
+        // only lets go where it curves away from the marble, as over a crest
         // -------------------------------------------------------------------
         const curvature = pathInfo.curvature || 0;
-        if (curvature !== 0) {
+        if (curvature !== 0 && (!pathInfo.region || this.curvesAway(pathInfo))) {
             const speed = marble.velocity.magnitude();
             const centripetalRequired = speed * speed * Math.abs(curvature);
             const normalForce = Math.abs(this.gravity * Math.cos(slopeAngle));
@@ -445,6 +845,17 @@ class PhysicsEngine {
         return false;
     }
 
+    /**
+     * Whether a region's edge falls away from its tangent at the closest
+     * point, as over a crest: a short step along the tangent leaves the
+     * region. In a hollow that step stays inside, and the edge holds the marble.
+     */
+    curvesAway(pathInfo) {
+        const step = pathInfo.tangent.normalize().mul(this.searchResolution);
+        const point = Vector2D.fromObject(pathInfo.closestPoint);
+        return [point.add(step), point.sub(step)].some(({ x, y }) => !pathInfo.equation.evaluate(x, y));
+    }
+
     // ========================================================================
     // FREE-FALL PHYSICS
     // ========================================================================
@@ -469,6 +880,74 @@ class PhysicsEngine {
         }
     }
 
+    // ========================================================================
+    // RAILS
+    // ========================================================================
+
+    /**
+     * The rail of a curve, built the first time it is needed and kept until
+     * dropRails. Implicit curves the parser could not solve have none and
+     * are searched directly, as are all curves when useRails is off.
+     */
+    getRail(curve) {
+        if (!this.useRails) return null;
+        if (!this.rails.has(curve)) this.rails.set(curve, this.buildRail(curve));
+        return this.rails.get(curve);
+    }
+
+    /** Sample a curve along its own parameter; windows match the hint searches of the analyzers */
+    buildRail(curve) {
+        const options = { step: this.railStep, limit: this.railExtent, cellSize: this.railCellSize };
+        const board = { min: -this.railExtent, max: this.railExtent };
+
+        switch (curve.type) {
+            case 'explicit_y':
+            case 'piecewise':
+            case 'constant_y':
+                return new Rail((x) => ({ x, y: curve.evaluate(x) }), board, { ...options, window: 1.75, open: true });
+
+            case 'explicit_x':
+            case 'constant_x':
+                return new Rail((y) => ({ x: curve.evaluate(y), y }), board, { ...options, window: 1.75, open: true });
+
+            case 'polar': {
+                const range = curve.getRange();
+                if (!Number.isFinite(range.min) || !Number.isFinite(range.max)) return null;
+                return new Rail((theta) => {
+                    const r = curve.evaluate(theta);
+                    return { x: r * Math.cos(theta), y: r * Math.sin(theta) };
+                }, range, { ...options, window: Math.PI / 2 });
+            }
+
+            case 'parametric': {
+                const range = curve.getRange();
+                if (!Number.isFinite(range.min) || !Number.isFinite(range.max)) return null;
+                return new Rail((t) => ({ x: curve.evaluateX(t), y: curve.evaluateY(t) }), range, { ...options, window: Math.PI });
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /** Build an equation's rails now, as it is added, instead of on the first frame a marble comes near */
+    buildRails(equation) {
+        this.forEachCurve(equation, curve => this.getRail(curve));
+    }
+
+    /** Forget the rails of equations whose curves moved; they are rebuilt when next needed */
+    dropRails(equations) {
+        equations.forEach(equation => this.forEachCurve(equation, curve => this.rails.delete(curve)));
+    }
+
+    /** An equation and every curve it is made of: family members, solved tracks and region edges */
+    forEachCurve(equation, fn) {
+        fn(equation);
+        (equation.members || []).forEach(member => this.forEachCurve(member, fn));
+        (equation.tracks || []).forEach(track => this.forEachCurve(track, fn));
+        if (equation.boundary) this.forEachCurve(equation.boundary, fn);
+    }
+
     // ========================================================================
     // CURVE GEOMETRY CALCULATIONS
     // ========================================================================
@@ -483,11 +962,8 @@ class PhysicsEngine {
         const speed = marble.velocity.magnitude();
 
         for (const equation of equations) {
-            // Skip non-solid curve types (inequalities are regions, not paths)
-            if (equation.type === 'inequality') continue;
-
             const info = this.analyzePathAtPoint(marble, equation);
-            if (!info) continue;
+            if (!info || this.isPassThrough(marble, info)) continue;
 
             let score = info.distance;
 
@@ -517,42 +993,161 @@ class PhysicsEngine {
      * Returns closest point, tangent, normal, curvature
      */
     analyzePathAtPoint(marble, equation) {
-        const marblePos = marble.position;
+        if (equation.tracks) return this.analyzeTracks(marble, equation);
+
+        const hintParameter = marble.currentEquation === equation ? marble.pathParameter : null;
+        return this.analyzeCurve(marble.position, equation, hintParameter);
+    }
+
+    /**
+     * Analyze an implicit curve the parser solved into analytic tracks
+     * (explicit branches or a parametric ellipse); the closest track wins.
+     */
+    analyzeTracks(marble, equation) {
         const sameEquation = marble.currentEquation === equation;
-        const hintParameter = sameEquation ? marble.pathParameter : null;
+        let best = null;
+
+        equation.tracks.forEach((track, index) => {
+            const hintParameter = sameEquation && marble.pathTrack === index ? marble.pathParameter : null;
+            const info = this.analyzeCurve(marble.position, track, hintParameter);
+            if (info && (!best || info.distance < best.distance)) {
+                best = { ...info, equation, track: index };
+            }
+        });
+
+        return best;
+    }
+
+    analyzeCurve(marblePos, equation, hintParameter) {
+        // A curve with a rail is only refined on the stretch that passes near the marble
+        const rail = this.getRail(equation);
+        const interval = rail ? rail.findInterval(marblePos, this.railRange, hintParameter) : null;
+        if (rail && !interval) return null;
 
         switch (equation.type) {
             case 'explicit_y':
             case 'piecewise':
             case 'constant_y':
-                return this.analyzeExplicitY(marblePos, equation, hintParameter);
+                return this.analyzeExplicitY(marblePos, equation, hintParameter, interval);
 
             case 'explicit_x':
             case 'constant_x':
-                return this.analyzeExplicitX(marblePos, equation, hintParameter);
+                return this.analyzeExplicitX(marblePos, equation, hintParameter, interval);
 
             case 'implicit':
                 return this.analyzeImplicit(marblePos, equation);
 
             case 'polar':
-                return this.analyzePolar(marblePos, equation, hintParameter);
+                return this.analyzePolar(marblePos, equation, hintParameter, interval);
 
             case 'parametric':
-                return this.analyzeParametric(marblePos, equation, hintParameter);
+                return this.analyzeParametric(marblePos, equation, hintParameter, interval);
+
+            case 'inequality':
+                return this.analyzeRegion(marblePos, equation, hintParameter);
 
             default:
                 return null;
         }
     }
 
+    // ========================================================================
+    // INEQUALITY REGIONS
+    // ========================================================================
+
+    /**
+     * Analyze the edge of an inequality region as a path. Only edges the
+     * region faces up from can be rolled on; walls and overhangs are left
+     * to resolveRegions, which bounces the marble off them.
+     */
+    analyzeRegion(pos, equation, hintParameter = null) {
+        const info = this.analyzeBoundary(pos, equation, hintParameter);
+        if (!info || info.normal.y <= 0) return null;
+        return info;
+    }
+
+    /**
+     * Closest point on a region's edge, with the normal pointing out of the
+     * region rather than the edge curve's own "up"
+     */
+    analyzeBoundary(pos, equation, hintParameter = null) {
+        const boundary = equation.boundary;
+        if (!boundary) return null;
+
+        let info = null;
+        if (boundary.tracks) {
+            boundary.tracks.forEach(track => {
+                const trackInfo = this.analyzeCurve(pos, track, null);
+                if (trackInfo && (!info || trackInfo.distance < info.distance)) info = trackInfo;
+            });
+        } else {
+            info = this.analyzeCurve(pos, boundary, hintParameter);
+        }
+        if (!info) return null;
+
+        const normal = this.calculateRegionNormal(equation, info.closestPoint.x, info.closestPoint.y);
+        return { ...info, equation, normal, region: true };
+    }
+
+    /** Unit normal pointing out of the region, where the inequality no longer holds */
+    calculateRegionNormal(equation, x, y) {
+        const difference = { partials: equation.partials, evaluate: (px, py) => equation.evaluator(px, py) };
+        const gradient = this.calculateGradient(difference, x, y);
+        if (gradient.magnitude() === 0) return new Vector2D(0, 1);
+
+        // The inequality holds where left - right grows for > and >=, and shrinks for < and <=
+        const outward = equation.operator.startsWith('>') ? gradient.mul(-1) : gradient;
+        return outward.normalize();
+    }
+
+    /**
+     * Push a marble out of any inequality region it has entered and bounce
+     * it off the edge with the region's restitution. A <= or >= region is
+     * hard and puts the marble straight back on its edge; a strict < or >
+     * region gives way, easing the marble out over a few steps.
+     * @returns {boolean} Whether the marble was bounced off an edge
+     */
+    resolveRegions(marble, equations) {
+        let bounced = false;
+
+        for (const equation of equations) {
+            const restitution = this.getRestitution(equation);
+
+            for (const region of equation.tracks || [equation]) {
+                if (region.type !== 'inequality' || !region.boundary) continue;
+
+                const { x, y } = marble.position;
+                if (!region.evaluate(x, y)) continue;
+
+                const edge = this.analyzeBoundary(marble.position, region);
+                if (!edge) continue;
+
+                const correction = region.strict ? this.softRegionCorrection : 1;
+                const toEdge = Vector2D.fromObject(edge.closestPoint).sub(marble.position);
+                marble.position = marble.position.add(toEdge.mul(correction));
+
+                // A marble rolling on this edge is only held on it; anything else bounces off
+                const riding = marble.onPath && marble.currentEquation === region;
+                const normalSpeed = marble.velocity.dot(edge.normal);
+                if (normalSpeed < 0) {
+                    marble.velocity = marble.velocity.sub(edge.normal.mul((riding ? 1 : 1 + restitution) * normalSpeed));
+                    bounced = bounced || !riding;
+                }
+            }
+        }
+
+        return bounced;
+    }
+
     /**
-     * Analyze y = f(x) curve
+     * Analyze y = f(x) curve, on the rail's `interval` of x when there is one
      */
-    analyzeExplicitY(pos, equation, hintX = null) {
+    analyzeExplicitY(pos, equation, hintX = null, interval = null) {
         // Find closest x using golden section search
         const searchRadius = Number.isFinite(hintX) ? 1.75 : 3;
         const centerX = Number.isFinite(hintX) ? hintX : pos.x;
-        const closestX = this.findClosestXOnCurve(pos, equation, centerX - searchRadius, centerX + searchRadius);
+        const search = interval ?? { min: centerX - searchRadius, max: centerX + searchRadius };
+        const closestX = this.findClosestXOnCurve(pos, equation, search.min, search.max);
 
         if (closestX === null) return null;
 
@@ -560,20 +1155,28 @@ class PhysicsEngine {
             const y = equation.evaluate(closestX);
             if (!isFinite(y)) return null;
 
+            const branch = this.getBranch(equation, closestX, hintX);
+            if (branch === null) return null;
+            const curve = this.getBranchCurve(equation, branch);
+
             const closestPoint = { x: closestX, y: y };
             const distance = pos.distanceTo(Vector2D.fromObject(closestPoint));
 
             // Calculate derivative for tangent
-            const derivative = this.calculateDerivative(equation, closestX);
+            const derivative = this.calculateDerivative(curve, closestX);
 
             // Tangent direction: (1, dy/dx) normalized
             const tangent = new Vector2D(1, derivative).normalize();
 
+            if (this.isPastEndpoint(pos, closestPoint, tangent, closestX, (x) => this.isOnBranch(equation, branch, x))) {
+                return null;
+            }
+
             // Normal is perpendicular to tangent (pointing "up" from curve)
             const normal = tangent.perpendicular();
 
             // Calculate curvature: κ = |y''| / (1 + y'^2)^(3/2)
-            const secondDerivative = this.calculateSecondDerivative(equation, closestX);
+            const secondDerivative = this.calculateSecondDerivative(curve, closestX);
             const curvature = Math.abs(secondDerivative) / Math.pow(1 + derivative * derivative, 1.5);
 
             return {
@@ -592,13 +1195,14 @@ class PhysicsEngine {
     }
 
     /**
-     * Analyze x = f(y) curve
+     * Analyze x = f(y) curve, on the rail's `interval` of y when there is one
      */
-    analyzeExplicitX(pos, equation, hintY = null) {
+    analyzeExplicitX(pos, equation, hintY = null, interval = null) {
         // Find closest y
         const searchRadius = Number.isFinite(hintY) ? 1.75 : 3;
         const centerY = Number.isFinite(hintY) ? hintY : pos.y;
-        const closestY = this.findClosestYOnCurve(pos, equation, centerY - searchRadius, centerY + searchRadius);
+        const search = interval ?? { min: centerY - searchRadius, max: centerY + searchRadius };
+        const closestY = this.findClosestYOnCurve(pos, equation, search.min, search.max);
 
         if (closestY === null) return null;
 
@@ -606,18 +1210,27 @@ class PhysicsEngine {
             const x = equation.evaluate(closestY);
             if (!isFinite(x)) return null;
 
+            const branch = this.getBranch(equation, closestY, hintY);
+            if (branch === null) return null;
+            const curve = this.getBranchCurve(equation, branch);
+
             const closestPoint = { x: x, y: closestY };
             const distance = pos.distanceTo(Vector2D.fromObject(closestPoint));
 
             // Calculate derivative dx/dy
-            const dxdy = this.calculateDerivativeX(equation, closestY);
+            const dxdy = this.calculateDerivativeX(curve, closestY);
 
             // Tangent direction: (dx/dy, 1) normalized
             const tangent = new Vector2D(dxdy, 1).normalize();
+
+            if (this.isPastEndpoint(pos, closestPoint, tangent, closestY, (y) => this.isOnBranch(equation, branch, y))) {
+                return null;
+            }
+
             const normal = tangent.perpendicular();
 
             // Curvature
-            const secondDerivative = this.calculateSecondDerivativeX(equation, closestY);
+            const secondDerivative = this.calculateSecondDerivativeX(curve, closestY);
             const curvature = Math.abs(secondDerivative) / Math.pow(1 + dxdy * dxdy, 1.5);
 
             return {
@@ -644,6 +1257,9 @@ class PhysicsEngine {
 
         if (!closestPoint) return null;
 
+        // Restricted implicit curves report NaN outside their domain
+        if (!isFinite(equation.evaluate(closestPoint.x, closestPoint.y))) return null;
+
         const distance = pos.distanceTo(Vector2D.fromObject(closestPoint));
 
         // Calculate gradient ∇f = (∂f/∂x, ∂f/∂y)
@@ -667,47 +1283,55 @@ class PhysicsEngine {
     }
 
     /**
-     * Analyze polar curve r = f(θ)
+     * Analyze polar curve r = f(θ), on the rail's `interval` of θ when there is one
      */
-    analyzePolar(pos, equation, hintTheta = null) {
-        // Convert marble position to polar
-        const marbleTheta = Math.atan2(pos.y, pos.x);
-        const marbleR = pos.magnitude();
+    analyzePolar(pos, equation, hintTheta = null, interval = null) {
+        const range = equation.getRange();
 
         // Find closest theta
-        let closestTheta = Number.isFinite(hintTheta) ? hintTheta : marbleTheta;
+        let closestTheta = Number.isFinite(hintTheta) ? hintTheta : range.min;
         let minDistance = Infinity;
 
-        const thetaWindow = Number.isFinite(hintTheta) ? Math.PI / 2 : Math.PI;
-
-        // Search around marble's theta or prior attachment angle
-        for (let theta = closestTheta - thetaWindow; theta <= closestTheta + thetaWindow; theta += 0.05) {
-            try {
-                const r = equation.evaluate(theta);
-                if (!isFinite(r)) continue;
-
-                const x = r * Math.cos(theta);
-                const y = r * Math.sin(theta);
-                const dist = pos.distanceTo(new Vector2D(x, y));
+        const pointAt = (theta) => {
+            const r = equation.evaluate(theta);
+            return new Vector2D(r * Math.cos(theta), r * Math.sin(theta));
+        };
 
-                if (dist < minDistance) {
-                    minDistance = dist;
-                    closestTheta = theta;
+        if (interval) {
+            closestTheta = this.findClosestParameter(pos, pointAt, interval.min, interval.max);
+            minDistance = pos.distanceTo(pointAt(closestTheta));
+        } else {
+            // Search near the prior attachment angle, or the whole traced range
+            const searchRange = this.getParameterWindow(range, hintTheta, Math.PI / 2);
+            for (const theta of this.sampleRange(searchRange.min, searchRange.max)) {
+                try {
+                    const point = pointAt(theta);
+                    if (!isFinite(point.x) || !isFinite(point.y)) continue;
+
+                    const dist = pos.distanceTo(point);
+                    if (dist < minDistance) {
+                        minDistance = dist;
+                        closestTheta = theta;
+                    }
+                } catch (e) {
+                    continue;
                 }
-            } catch (e) {
-                continue;
             }
         }
 
         try {
             const r = equation.evaluate(closestTheta);
+            if (!isFinite(r)) return null;
+
             const closestPoint = {
                 x: r * Math.cos(closestTheta),
                 y: r * Math.sin(closestTheta)
             };
 
             // Tangent for polar: dr/dθ determines direction
-            const drdt = (equation.evaluate(closestTheta + 0.01) - equation.evaluate(closestTheta - 0.01)) / 0.02;
+            const drdt = this.evaluateSymbolic(equation.derivatives?.first, closestTheta) ??
+                this.centralOrOneSided((theta) => equation.evaluate(theta), closestTheta, 0.01);
+            if (drdt === null) return null;
 
             // Tangent in Cartesian: (dx/dθ, dy/dθ)
             // dx/dθ = dr/dθ * cos(θ) - r * sin(θ)
@@ -716,15 +1340,25 @@ class PhysicsEngine {
             const dydt = drdt * Math.sin(closestTheta) + r * Math.cos(closestTheta);
 
             const tangent = new Vector2D(dxdt, dydt).normalize();
+            const isOnCurve = (theta) => theta >= range.min && theta <= range.max && isFinite(equation.evaluate(theta));
+            if (this.isPastEndpoint(pos, closestPoint, tangent, closestTheta, isOnCurve)) return null;
+
             const normal = tangent.perpendicular();
 
+            // κ = |r² + 2r'² - r·r''| / (r² + r'²)^(3/2)
+            const d2rdt2 = this.calculateSecondDerivative(equation, closestTheta);
+            const curvature = this.curvatureFromSpeed(
+                Math.abs(r * r + 2 * drdt * drdt - r * d2rdt2),
+                r * r + drdt * drdt
+            );
+
             return {
                 equation,
                 closestPoint,
                 distance: minDistance,
                 tangent,
                 normal,
-                curvature: 0, // Simplified
+                curvature,
                 parameter: closestTheta,
                 parameterType: 'theta'
             };
@@ -734,51 +1368,75 @@ class PhysicsEngine {
     }
 
     /**
-     * Analyze parametric curve x=f(t), y=g(t)
+     * Analyze parametric curve x=f(t), y=g(t), on the rail's `interval` of t when there is one
      */
-    analyzeParametric(pos, equation, hintT = null) {
+    analyzeParametric(pos, equation, hintT = null, interval = null) {
+        const range = equation.getRange();
+
         // Find closest t parameter
-        let closestT = Number.isFinite(hintT) ? hintT : 0;
+        let closestT = Number.isFinite(hintT) ? hintT : range.min;
         let minDistance = Infinity;
 
-        const tMin = Number.isFinite(hintT) ? hintT - Math.PI : 0;
-        const tMax = Number.isFinite(hintT) ? hintT + Math.PI : 2 * Math.PI;
+        const pointAt = (t) => new Vector2D(equation.evaluateX(t), equation.evaluateY(t));
 
-        for (let t = tMin; t <= tMax; t += 0.05) {
-            try {
-                const x = equation.evaluateX(t);
-                const y = equation.evaluateY(t);
-                if (!isFinite(x) || !isFinite(y)) continue;
-
-                const dist = pos.distanceTo(new Vector2D(x, y));
-                if (dist < minDistance) {
-                    minDistance = dist;
-                    closestT = t;
+        if (interval) {
+            closestT = this.findClosestParameter(pos, pointAt, interval.min, interval.max);
+            minDistance = pos.distanceTo(pointAt(closestT));
+        } else {
+            const searchRange = this.getParameterWindow(range, hintT, Math.PI);
+            for (const t of this.sampleRange(searchRange.min, searchRange.max)) {
+                try {
+                    const point = pointAt(t);
+                    if (!isFinite(point.x) || !isFinite(point.y)) continue;
+
+                    const dist = pos.distanceTo(point);
+                    if (dist < minDistance) {
+                        minDistance = dist;
+                        closestT = t;
+                    }
+                } catch (e) {
+                    continue;
                 }
-            } catch (e) {
-                continue;
             }
         }
 
         try {
             const x = equation.evaluateX(closestT);
             const y = equation.evaluateY(closestT);
+            if (!isFinite(x) || !isFinite(y)) return null;
 
             // Calculate tangent: (dx/dt, dy/dt)
             const dt = 0.01;
-            const dxdt = (equation.evaluateX(closestT + dt) - equation.evaluateX(closestT - dt)) / (2 * dt);
-            const dydt = (equation.evaluateY(closestT + dt) - equation.evaluateY(closestT - dt)) / (2 * dt);
+            const xAt = (t) => equation.evaluateX(t);
+            const yAt = (t) => equation.evaluateY(t);
+            const dxdt = this.evaluateSymbolic(equation.xDerivatives?.first, closestT) ?? this.centralOrOneSided(xAt, closestT, dt);
+            const dydt = this.evaluateSymbolic(equation.yDerivatives?.first, closestT) ?? this.centralOrOneSided(yAt, closestT, dt);
+            if (dxdt === null || dydt === null) return null;
 
             const tangent = new Vector2D(dxdt, dydt).normalize();
+            const isOnCurve = (t) => t >= range.min && t <= range.max &&
+                isFinite(equation.evaluateX(t)) && isFinite(equation.evaluateY(t));
+            if (this.isPastEndpoint(pos, { x, y }, tangent, closestT, isOnCurve)) return null;
+
             const normal = tangent.perpendicular();
 
+            // κ = |x'y'' - y'x''| / (x'² + y'²)^(3/2)
+            const d2xdt2 = this.evaluateSymbolic(equation.xDerivatives?.second, closestT) ??
+                this.secondDifference(xAt, closestT, this.derivativeStep);
+            const d2ydt2 = this.evaluateSymbolic(equation.yDerivatives?.second, closestT) ??
+                this.secondDifference(yAt, closestT, this.derivativeStep);
+            const curvature = this.curvatureFromSpeed(
+                Math.abs(dxdt * d2ydt2 - dydt * d2xdt2),
+                dxdt * dxdt + dydt * dydt
+            );
+
             return {
                 equation,
                 closestPoint: { x, y },
                 distance: minDistance,
                 tangent,
                 normal,
-                curvature: 0,
+                curvature,
                 parameter: closestT,
                 parameterType: 't'
             };
@@ -792,59 +1450,60 @@ class PhysicsEngine {
     // ========================================================================
 
     /**
-     * Find closest x on y=f(x) curve using golden section search
+     * Parameter interval to search on a parametric or polar curve: a window
+     * around the marble's previous parameter, clipped to the curve's range.
      */
-    findClosestXOnCurve(pos, equation, xMin, xMax) {
-        const phi = (1 + Math.sqrt(5)) / 2;
-        const tolerance = 0.001;
-
-        let a = xMin;
-        let b = xMax;
-        let c = b - (b - a) / phi;
-        let d = a + (b - a) / phi;
-
-        const distanceAt = (x) => {
-            try {
-                const y = equation.evaluate(x);
-                if (!isFinite(y)) return Infinity;
-                return pos.distanceTo(new Vector2D(x, y));
-            } catch (e) {
-                return Infinity;
-            }
+    getParameterWindow(range, hint, radius) {
+        if (!Number.isFinite(hint)) return range;
+        return {
+            min: Math.max(range.min, hint - radius),
+            max: Math.min(range.max, hint + radius)
         };
+    }
 
-        let iterations = 0;
-        while (Math.abs(b - a) > tolerance && iterations < 50) {
-            if (distanceAt(c) < distanceAt(d)) {
-                b = d;
-            } else {
-                a = c;
-            }
-            c = b - (b - a) / phi;
-            d = a + (b - a) / phi;
-            iterations++;
+    /** Evenly spaced samples covering [min, max], both ends included */
+    sampleRange(min, max) {
+        const count = Math.max(1, Math.min(400, Math.ceil((max - min) / 0.05)));
+        const samples = [];
+        for (let i = 0; i <= count; i++) {
+            samples.push(min + (max - min) * i / count);
         }
+        return samples;
+    }
 
-        return (a + b) / 2;
+    /**
+     * Find closest x on y=f(x) curve using golden section search
+     */
+    findClosestXOnCurve(pos, equation, xMin, xMax) {
+        return this.findClosestParameter(pos, (x) => new Vector2D(x, equation.evaluate(x)), xMin, xMax);
     }
 
     /**
      * Find closest y on x=f(y) curve
      */
     findClosestYOnCurve(pos, equation, yMin, yMax) {
+        return this.findClosestParameter(pos, (y) => new Vector2D(equation.evaluate(y), y), yMin, yMax);
+    }
+
+    /**
+     * Golden section search for the parameter in [min, max] whose point
+     * `pointAt` returns is closest to `pos`; undefined points count as
+     * infinitely far
+     */
+    findClosestParameter(pos, pointAt, min, max) {
         const phi = (1 + Math.sqrt(5)) / 2;
         const tolerance = 0.001;
 
-        let a = yMin;
-        let b = yMax;
+        let a = min;
+        let b = max;
         let c = b - (b - a) / phi;
         let d = a + (b - a) / phi;
 
-        const distanceAt = (y) => {
+        const distanceAt = (parameter) => {
             try {
-                const x = equation.evaluate(y);
-                if (!isFinite(x)) return Infinity;
-                return pos.distanceTo(new Vector2D(x, y));
+                const point = pointAt(parameter);
+                if (!isFinite(point.x) || !isFinite(point.y)) return Infinity;
+                return pos.distanceTo(point);
             } catch (e) {
                 return Infinity;
             }
@@ -903,75 +1562,179 @@ class PhysicsEngine {
     }
 
     /**
-     * Calculate first derivative dy/dx for y=f(x)
+     * Branch of a multi-branch piecewise curve at a parameter value, or -1
+     * for ordinary curves. Returns null when a marble riding the curve
+     * (hint set) has crossed into a different branch: branch boundaries
+     * are endpoints, so it has to leave the track there.
      */
-    calculateDerivative(equation, x, h = null) {
-        const step = h || this.derivativeStep;
+    getBranch(equation, parameter, hintParameter = null) {
+        if (!equation.branchAt) return -1;
+
+        const branch = equation.branchAt(parameter);
+        if (branch < 0) return null;
+        if (Number.isFinite(hintParameter) && equation.branchAt(hintParameter) !== branch) return null;
+        return branch;
+    }
+
+    /** A curve that evaluates one branch without its condition, for derivatives */
+    getBranchCurve(equation, branch) {
+        if (branch < 0) return equation;
+        return {
+            evaluate: (value) => equation.evaluateBranch(branch, value),
+            derivatives: equation.branches[branch].derivatives
+        };
+    }
+
+    isOnBranch(equation, branch, parameter) {
+        if (!isFinite(equation.evaluate(parameter))) return false;
+        return branch < 0 || equation.branchAt(parameter) === branch;
+    }
+
+    /**
+     * True when the marble has rolled past the end of a restricted curve or
+     * piecewise branch. The closest point is then the endpoint itself, and
+     * the marble lies beyond it along the tangent.
+     */
+    isPastEndpoint(pos, closestPoint, tangent, parameter, isOnCurve) {
+        const step = 0.01;
+        const along = pos.sub(Vector2D.fromObject(closestPoint)).dot(tangent);
+
+        if (along > this.endpointTolerance && !isOnCurve(parameter + step)) return true;
+        if (along < -this.endpointTolerance && !isOnCurve(parameter - step)) return true;
+        return false;
+    }
+
+    /**
+     * Derivative of a one-parameter function, falling back to a one-sided
+     * difference at the edge of a restricted domain. Returns null if the
+     * function is undefined on both sides.
+     */
+    centralOrOneSided(fn, value, h) {
+        const center = fn(value);
+        const ahead = fn(value + h);
+        const behind = fn(value - h);
+
+        if (isFinite(ahead) && isFinite(behind)) return (ahead - behind) / (2 * h);
+        if (isFinite(ahead) && isFinite(center)) return (ahead - center) / h;
+        if (isFinite(behind) && isFinite(center)) return (center - behind) / h;
+        return null;
+    }
+
+    /**
+     * Value of one of the parser's symbolic derivatives, or null when the
+     * curve has none or it is undefined here; callers then fall back to
+     * finite differences.
+     */
+    evaluateSymbolic(derivative, ...args) {
+        if (!derivative) return null;
+        try {
+            const value = derivative(...args);
+            return Number.isFinite(value) ? value : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /** Central second difference, or 0 if the function is undefined nearby */
+    secondDifference(fn, value, h) {
         try {
-            const y1 = equation.evaluate(x - step);
-            const y2 = equation.evaluate(x + step);
+            const before = fn(value - h);
+            const center = fn(value);
+            const after = fn(value + h);
 
-            if (!isFinite(y1) || !isFinite(y2)) return 0;
-            return (y2 - y1) / (2 * step);
+            if (!isFinite(before) || !isFinite(center) || !isFinite(after)) return 0;
+            return (before - 2 * center + after) / (h * h);
         } catch (e) {
             return 0;
         }
     }
 
+    /** Curvature from a cross term and the squared speed along the curve */
+    curvatureFromSpeed(cross, speedSq) {
+        const den = Math.pow(speedSq, 1.5);
+        if (!(den > 0) || !isFinite(cross)) return 0;
+        return cross / den;
+    }
+
     /**
-     * Calculate second derivative d²y/dx² for y=f(x)
+     * Calculate first derivative dy/dx for y=f(x)
      */
-    calculateSecondDerivative(equation, x, h = null) {
+    calculateDerivative(equation, x, h = null) {
+        const symbolic = this.evaluateSymbolic(equation.derivatives?.first, x);
+        if (symbolic !== null) return symbolic;
+
         const step = h || this.derivativeStep;
         try {
-            const y0 = equation.evaluate(x - step);
-            const y1 = equation.evaluate(x);
-            const y2 = equation.evaluate(x + step);
-
-            if (!isFinite(y0) || !isFinite(y1) || !isFinite(y2)) return 0;
-            return (y0 - 2 * y1 + y2) / (step * step);
+            return this.centralOrOneSided((value) => equation.evaluate(value), x, step) ?? 0;
         } catch (e) {
             return 0;
         }
     }
 
+    /**
+     * Calculate second derivative d²y/dx² for y=f(x)
+     */
+    calculateSecondDerivative(equation, x, h = null) {
+        const symbolic = this.evaluateSymbolic(equation.derivatives?.second, x);
+        if (symbolic !== null) return symbolic;
+
+        return this.secondDifference((value) => equation.evaluate(value), x, h || this.derivativeStep);
+    }
+
     /**
      * Calculate first derivative dx/dy for x=f(y)
      */
     calculateDerivativeX(equation, y, h = null) {
-        const step = h || this.derivativeStep;
-        try {
-            const x1 = equation.evaluate(y - step);
-            const x2 = equation.evaluate(y + step);
-
-            if (!isFinite(x1) || !isFinite(x2)) return 0;
-            return (x2 - x1) / (2 * step);
-        } catch (e) {
-            return 0;
-        }
+        return this.calculateDerivative(equation, y, h);
     }
 
     /**
      * Calculate second derivative d²x/dy² for x=f(y)
      */
     calculateSecondDerivativeX(equation, y, h = null) {
-        const step = h || this.derivativeStep;
-        try {
-            const x0 = equation.evaluate(y - step);
-            const x1 = equation.evaluate(y);
-            const x2 = equation.evaluate(y + step);
+        return this.calculateSecondDerivative(equation, y, h);
+    }
 
-            if (!isFinite(x0) || !isFinite(x1) || !isFinite(x2)) return 0;
-            return (x0 - 2 * x1 + x2) / (step * step);
-        } catch (e) {
-            return 0;
+    /**
+     * Partial derivatives of an implicit f(x, y) at a point: symbolic when the
+     * parser could differentiate f, central differences otherwise.
+     * @returns {Object} { fx, fy, fxx, fyy, fxy }
+     */
+    calculatePartials(equation, x, y) {
+        const partials = equation.partials;
+        if (partials) {
+            const values = {
+                fx: this.evaluateSymbolic(partials.x, x, y),
+                fy: this.evaluateSymbolic(partials.y, x, y),
+                fxx: this.evaluateSymbolic(partials.xx, x, y),
+                fyy: this.evaluateSymbolic(partials.yy, x, y),
+                fxy: this.evaluateSymbolic(partials.xy, x, y)
+            };
+            if (Object.values(values).every(value => value !== null)) return values;
         }
+
+        const h = this.derivativeStep;
+        const f = (px, py) => equation.evaluate(px, py);
+        return {
+            fx: (f(x + h, y) - f(x - h, y)) / (2 * h),
+            fy: (f(x, y + h) - f(x, y - h)) / (2 * h),
+            fxx: (f(x + h, y) - 2 * f(x, y) + f(x - h, y)) / (h * h),
+            fyy: (f(x, y + h) - 2 * f(x, y) + f(x, y - h)) / (h * h),
+            fxy: (f(x + h, y + h) - f(x + h, y - h) - f(x - h, y + h) + f(x - h, y - h)) / (4 * h * h)
+        };
     }
 
     /**
      * Calculate gradient of implicit function ∇f = (∂f/∂x, ∂f/∂y)
      */
     calculateGradient(equation, x, y, h = null) {
+        const partials = equation.partials;
+        if (partials) {
+            const dfdx = this.evaluateSymbolic(partials.x, x, y);
+            const dfdy = this.evaluateSymbolic(partials.y, x, y);
+            if (dfdx !== null && dfdy !== null) return new Vector2D(dfdx, dfdy);
+        }
+
         const step = h || this.derivativeStep;
         try {
             const dfdx = (equation.evaluate(x + step, y) - equation.evaluate(x - step, y)) / (2 * step);
@@ -989,22 +1752,12 @@ class PhysicsEngine {
      */
     calculateImplicitCurvature(equation, x, y) {
         // κ = |fx²*fyy - 2*fx*fy*fxy + fy²*fxx| / (fx² + fy²)^(3/2)
-        const h = this.derivativeStep;
-
         try {
-            const fx = (equation.evaluate(x + h, y) - equation.evaluate(x - h, y)) / (2 * h);
-            const fy = (equation.evaluate(x, y + h) - equation.evaluate(x, y - h)) / (2 * h);
-
-            const fxx = (equation.evaluate(x + h, y) - 2 * equation.evaluate(x, y) + equation.evaluate(x - h, y)) / (h * h);
-            const fyy = (equation.evaluate(x, y + h) - 2 * equation.evaluate(x, y) + equation.evaluate(x, y - h)) / (h * h);
-            const fxy = (equation.evaluate(x + h, y + h) - equation.evaluate(x + h, y - h) -
-                equation.evaluate(x - h, y + h) + equation.evaluate(x - h, y - h)) / (4 * h * h);
-
-            const num = Math.abs(fx * fx * fyy - 2 * fx * fy * fxy + fy * fy * fxx);
-            const den = Math.pow(fx * fx + fy * fy, 1.5);
-
-            if (den === 0) return 0;
-            return num / den;
+            const { fx, fy, fxx, fyy, fxy } = this.calculatePartials(equation, x, y);
+            return this.curvatureFromSpeed(
+                Math.abs(fx * fx * fyy - 2 * fx * fy * fxy + fy * fy * fxx),
+                fx * fx + fy * fy
+            );
         } catch (e) {
             return 0;
         }
@@ -1026,6 +1779,95 @@ class PhysicsEngine {
         return distanceSq < radiusSum * radiusSum;
     }
 
+    /**
+     * Check whether a marble moving in a straight line from `start` to its
+     * current position passed within reach of a star at any point
+     */
+    checkSweptCollision(marble, start, star) {
+        const move = marble.position.sub(start);
+        const lengthSq = move.magnitudeSq();
+        const toStar = new Vector2D(star.x - start.x, star.y - start.y);
+        const t = lengthSq > 0 ? Math.min(1, Math.max(0, toStar.dot(move) / lengthSq)) : 0;
+        const closest = start.add(move.mul(t));
+        const radiusSum = marble.radius + star.radius;
+
+        return closest.distanceToSq(new Vector2D(star.x, star.y)) < radiusSum * radiusSum;
+    }
+
+    /**
+     * Separate every pair of overlapping marbles and exchange an impulse
+     * along the line between their centres, weighted by mass and scaled by
+     * marbleRestitution. Marbles on a shared track meet head to tail, so the
+     * impulse runs along the rail and they queue behind one another.
+     * @returns {Array} The pairs that knocked into each other, as [a, b]; marbles
+     *   resting against one another are only pushed apart
+     */
+    resolveMarbleCollisions(marbles) {
+        const active = marbles.filter(marble => marble.active);
+        const collisions = [];
+
+        for (let i = 0; i < active.length; i++) {
+            for (let j = i + 1; j < active.length; j++) {
+                if (this.resolveMarblePair(active[i], active[j])) {
+                    collisions.push([active[i], active[j]]);
+                }
+            }
+        }
+
+        return collisions;
+    }
+
+    /** @returns {boolean} Whether the two marbles were closing on each other and exchanged an impulse */
+    resolveMarblePair(a, b) {
+        const offset = b.position.sub(a.position);
+        const distance = offset.magnitude();
+        const radiusSum = a.radius + b.radius;
+        if (distance >= radiusSum) return false;
+
+        // Marbles on the same spot part along +x
+        const normal = distance > 0 ? offset.mul(1 / distance) : new Vector2D(1, 0);
+        const inverseA = 1 / a.mass;
+        const inverseB = 1 / b.mass;
+        const share = (radiusSum - distance) / (inverseA + inverseB);
+
+        // The lighter marble gives way more
+        a.position = a.position.sub(normal.mul(share * inverseA));
+        b.position = b.position.add(normal.mul(share * inverseB));
+        this.reprojectOntoPath(a);
+        this.reprojectOntoPath(b);
+
+        const closingSpeed = b.velocity.sub(a.velocity).dot(normal);
+        if (closingSpeed >= 0) return false;
+
+        const impulse = -(1 + this.marbleRestitution) * closingSpeed / (inverseA + inverseB);
+        a.velocity = a.velocity.sub(normal.mul(impulse * inverseA));
+        b.velocity = b.velocity.add(normal.mul(impulse * inverseB));
+        return true;
+    }
+
+    /**
+     * Put a marble that was pushed while on a path back onto it, where it
+     * now is; one pushed past the end of its path leaves it
+     */
+    reprojectOntoPath(marble) {
+        if (!marble.onPath) return;
+
+        const pathInfo = this.analyzePathAtPoint(marble, marble.currentEquation);
+        if (!pathInfo) {
+            marble.onPath = false;
+            marble.currentEquation = null;
+            marble.pathParameter = null;
+            marble.pathParameterType = null;
+            marble.pathTrack = null;
+            return;
+        }
+
+        marble.position = Vector2D.fromObject(pathInfo.closestPoint);
+        marble.pathParameter = pathInfo.parameter ?? null;
+        marble.pathParameterType = pathInfo.parameterType ?? null;
+        marble.pathTrack = pathInfo.track ?? null;
+    }
+
     /**
      * Check if marble is within world bounds
      */
@@ -1058,6 +1900,48 @@ class PhysicsEngine {
             marble.velocity.y = -Math.abs(marble.velocity.y) * this.bounceCoefficient;
         }
     }
+
+    // ========================================================================
+    // RUNS
+    // ========================================================================
+
+    /**
+     * Advance every marble of a run by one frame, then let them collide
+     * when `collisions` is set. This is all a frame of the game does to
+     * its marbles, so Game and simulateRun play a level the same way.
+     * Marbles still waiting on their launcher's delay count down instead,
+     * and count as in bounds.
+     * @returns {Object} { events: [{ type, marble, star?, other? }], inBounds: whether any marble is in bounds }
+     */
+    updateRun(marbles, equations, stars, bounds, collisions = false) {
+        const events = [];
+        let inBounds = false;
+        const released = marbles.filter(marble => {
+            if (marble.releaseFrames <= 0) return true;
+            marble.releaseFrames--;
+            inBounds = true;
+            return false;
+        });
+
+        released.forEach(marble => {
+            const result = this.update(marble, 1, equations, stars);
+
+            if (result.attached) events.push({ type: 'attach', marble });
+            if (result.detached) events.push({ type: 'detach', marble });
+            if (result.bounced) events.push({ type: 'bounce', marble });
+            result.starsCollected.forEach(star => events.push({ type: 'star', marble, star }));
+
+            if (this.checkBounds(marble, bounds)) inBounds = true;
+        });
+
+        if (collisions) {
+            this.resolveMarbleCollisions(released).forEach(([marble, other]) => {
+                events.push({ type: 'collision', marble, other });
+            });
+        }
+
+        return { events, inBounds };
+    }
 }
 
 // ============================================================================
@@ -1072,12 +1956,18 @@ class Marble {
         /** Position vector */
         this.position = new Vector2D(x, y);
 
+        /** Position before the last physics step, for drawing between steps */
+        this.previousPosition = this.position.clone();
+
         /** Velocity vector */
         this.velocity = new Vector2D(config.vx ?? 0.1, config.vy ?? 0);
 
         /** Marble radius in world units */
         this.radius = config.radius ?? 0.2;
 
+        /** Mass, for collisions between marbles */
+        this.mass = config.mass ?? 1;
+
         /** Display color */
         this.color = config.color ?? '#4A90D9';
 
@@ -1087,20 +1977,32 @@ class Marble {
         /** Reference to current equation being followed */
         this.currentEquation = null;
 
+        /** Track the marble last rode, until it is clear of every track */
+        this.lastEquation = null;
+
         /** Scalar parameter used to continue smoothly on the same path */
         this.pathParameter = null;
 
         /** Parameter type (x, y, theta, t) for the current path */
         this.pathParameterType = null;
 
+        /** Which solved track of an implicit curve the marble is on */
+        this.pathTrack = null;
+
         /** Trail of previous positions for visual effect */
         this.trail = [];
 
         /** Maximum trail length */
         this.maxTrailLength = config.maxTrailLength ?? 30;
 
-        /** Unique identifier */
-        this.id = config.id ?? Math.random().toString(36).substr(2, 9);
+        /** Identifier; numbered in creation order so runs replay the same */
+        this.id = config.id ?? `marble-${++Marble.created}`;
+
+        /** Id of the level launcher that released it; stars tagged with another launcher ignore it */
+        this.launcher = config.launcher ?? null;
+
+        /** Frames the marble waits at its launcher before it moves */
+        this.releaseFrames = config.releaseFrames ?? 0;
 
         /** Whether marble is active (not collected/destroyed) */
         this.active = true;
@@ -1122,15 +2024,26 @@ class Marble {
      */
     reset(x, y) {
         this.position = new Vector2D(x, y);
+        this.previousPosition = this.position.clone();
         this.velocity = new Vector2D(0.1, 0);
         this.onPath = false;
         this.currentEquation = null;
+        this.lastEquation = null;
         this.pathParameter = null;
         this.pathParameterType = null;
+        this.pathTrack = null;
         this.trail = [];
         this.active = true;
     }
 
+    /**
+     * Position to draw a fraction `alpha` of the way from the previous
+     * physics step to the current one
+     */
+    getInterpolatedPosition(alpha) {
+        return this.previousPosition.lerp(this.position, alpha);
+    }
+
     /**
      * Get current speed
      */
@@ -1159,7 +2072,7 @@ class Marble {
     update(physics, equations) {
         // This method is called by the old game.js
         // Convert to new physics system
-        const result = physics.update(this, 1, equations, this.stars || []);
+        physics.update(this, 1, equations, this.stars || []);
 
         // Handle old update mechanism
         this.trail.push({ x: this.position.x, y: this.position.y });
@@ -1169,6 +2082,296 @@ class Marble {
     }
 }
 
+/** Marbles made so far, for default ids */
+Marble.created = 0;
+
+// ============================================================================
+// PHYSICS PRESETS
+// ============================================================================
+
+/**
+ * The settings a mode, a level or the dev panel may override, with the
+ * range the panel's sliders cover. Everything else stays an engine detail.
+ */
+const PHYSICS_SETTINGS = {
+    gravity: { min: -30, max: 0, step: 0.1 },
+    timeScale: { min: 0.004, max: 0.04, step: 0.001 },
+    rollingFriction: { min: 0, max: 1, step: 0.01 },
+    airDrag: { min: 0, max: 2, step: 0.01 },
+    attachDistance: { min: 0.05, max: 1, step: 0.01 },
+    retainDistance: { min: 0.1, max: 1.5, step: 0.01 },
+    snapStrength: { min: 0, max: 1, step: 0.01 },
+    normalDamping: { min: 0, max: 1, step: 0.01 },
+    pathStickiness: { min: 0, max: 0.5, step: 0.01 },
+    pathSwitchBias: { min: 0, max: 0.5, step: 0.01 },
+    tangentStickThreshold: { min: 0, max: 0.5, step: 0.01 },
+    tangentFlipThreshold: { min: 0, max: 0.5, step: 0.01 },
+    detachThreshold: { min: 0, max: 2, step: 0.01 },
+    maxSlopeAngle: { min: 0, max: Math.PI / 2, step: 0.01 },
+    bounceCoefficient: { min: 0, max: 1, step: 0.01 },
+    marbleRestitution: { min: 0, max: 1, step: 0.01 },
+    bounceThreshold: { min: 0, max: 20, step: 0.1 },
+    softRegionCorrection: { min: 0, max: 1, step: 0.01 }
+};
+
+/** Named sets of overrides; a mode or level can start from one with { preset: 'moon' } */
+const PHYSICS_PRESETS = {
+    moon: {
+        name: 'Moon',
+        hint: 'A sixth of the gravity',
+        config: { gravity: -1.62 }
+    },
+    ice: {
+        name: 'Ice',
+        hint: 'No friction, so marbles never settle',
+        config: { rollingFriction: 0, tangentStickThreshold: 0 }
+    },
+    molasses: {
+        name: 'Molasses',
+        hint: 'Heavy drag in the air and on tracks',
+        config: { airDrag: 0.6, rollingFriction: 0.25 }
+    }
+};
+
+/**
+ * Merge physics overrides into one PhysicsEngine config, later layers
+ * winning. A layer is a preset id such as 'moon', an object of settings
+ * that may name a `preset` to start from, or null.
+ * @example resolvePhysicsConfig(mode.physics, level.physics, { gravity: -4 })
+ * @throws {Error} On a preset that does not exist
+ */
+function resolvePhysicsConfig(...layers) {
+    return layers.reduce((config, layer) => {
+        if (!layer) return config;
+
+        const { preset, ...settings } = typeof layer === 'string' ? { preset: layer } : layer;
+        if (preset && !PHYSICS_PRESETS[preset]) throw new Error(`Unknown physics preset "${preset}"`);
+        return { ...config, ...PHYSICS_PRESETS[preset]?.config, ...settings };
+    }, {});
+}
+
+// ============================================================================
+// HEADLESS RUNS
+// ============================================================================
+
+/** The -10..10 board with room to fly off the sides and fall out of the bottom */
+const RUN_BOUNDS = { minX: -12, maxX: 12, minY: -15, maxY: 12 };
+
+/** Real time one frame of a run stands for, in Game's fixed steps and in simulateRun */
+const RUN_FRAME_SECONDS = 1 / 60;
+
+const MARBLE_COLORS = ['#2563eb', '#dc2626', '#0f9f6e', '#9333ea', '#d97706', '#0891b2'];
+
+/** Angle in degrees (0 rolls right, 90 throws straight up) and speed of a launch nobody has aimed */
+const DEFAULT_LAUNCH = { angle: 0, speed: 0.5 };
+
+/** The widest ranges a player may aim within; a level can narrow them */
+const LAUNCH_LIMITS = { angle: [-180, 180], speed: [0, 15] };
+
+/**
+ * The [min, max] a level's launch rules allow for 'angle' or 'speed',
+ * within LAUNCH_LIMITS. A range of one value locks the field.
+ */
+function getLaunchRange(rules, field) {
+    const [min, max] = LAUNCH_LIMITS[field];
+    const [low, high] = rules?.[`${field}Range`] ?? [min, max];
+    return [Math.max(min, low), Math.min(max, high)];
+}
+
+/**
+ * The launch a level allows: the player's choice, or else the level's own
+ * angle and speed, clamped to the level's ranges.
+ * @param {Object} rules - The level's { angle, speed, angleRange: [min, max], speedRange: [min, max] },
+ *   e.g. { angle: 45, angleRange: [45, 45], speedRange: [2, 8] } for a fixed angle and a limited speed
+ * @param {Object} choice - The player's { angle, speed }; either may be left out
+ * @returns {Object} { angle, speed }
+ */
+function resolveLaunch(rules = {}, choice = {}) {
+    const pick = (field) => {
+        const [min, max] = getLaunchRange(rules, field);
+        const value = [choice[field], rules[field]].find(Number.isFinite) ?? DEFAULT_LAUNCH[field];
+        return Math.min(max, Math.max(min, value));
+    };
+    return { angle: pick('angle'), speed: pick('speed') };
+}
+
+/**
+ * The marbles of a launch: `count` marbles in a tight diagonal line
+ * through `start`, thrown at the launch's angle and speed with a slight
+ * spread so they fan out, none faster or slower than `speedRange`. With
+ * `collisions` on they start a marble's width apart, so they do not
+ * overlap. Ids are marble-1, marble-2, ... in launch order, or
+ * <launcher id>-1, ... when a launcher from getLaunchers releases them.
+ * @param {Object} options - { collisions: false, speedRange: [min, max] }
+ */
+function createLaunchFormation(start, count, launch = DEFAULT_LAUNCH, launcher = null, options = {}) {
+    const { collisions = false, speedRange = LAUNCH_LIMITS.speed } = options;
+    // Marbles that collide start a little over a marble's width (radius 0.2) apart
+    const verticalSpacing = collisions ? 0.44 : 0.32;
+    const horizontalSpacing = collisions ? 0.11 : 0.08;
+    const velocitySpread = 0.03;
+    const centerOffset = (count - 1) / 2;
+    const radians = launch.angle * Math.PI / 180;
+    const clampSpeed = (speed) => Math.min(speedRange[1], Math.max(speedRange[0], speed));
+
+    return Array.from({ length: count }, (_, i) => {
+        const formationOffset = i - centerOffset;
+        const speed = clampSpeed(launch.speed + (formationOffset * velocitySpread));
+        const thrown = new Vector2D(Math.cos(radians) * speed, Math.sin(radians) * speed - formationOffset * 0.01);
+        const magnitude = thrown.magnitude();
+        const velocity = magnitude > 0 ? thrown.mul(clampSpeed(magnitude) / magnitude) : thrown;
+        return new Marble(
+            start.x + (formationOffset * horizontalSpacing),
+            start.y - (formationOffset * verticalSpacing),
+            {
+                vx: velocity.x,
+                vy: velocity.y,
+                color: launcher?.color ?? MARBLE_COLORS[i % MARBLE_COLORS.length],
+                id: launcher ? `${launcher.id}-${i + 1}` : `marble-${i + 1}`,
+                launcher: launcher?.id,
+                releaseFrames: launcher ? Math.round(launcher.delay / RUN_FRAME_SECONDS) : 0
+            }
+        );
+    });
+}
+
+/**
+ * A level's launchers with their defaults filled in: ids launcher-1,
+ * launcher-2, ..., one marble each, no delay and a colour of their own.
+ * A launcher without an angle or speed of its own is thrown with the
+ * player's aim. Levels without launchers have none and launch from start.
+ * @returns {Array} [{ id, name, x, y, count, color, delay: seconds before release, angle?, speed? }]
+ */
+function getLaunchers(level) {
+    return (level?.launchers ?? []).map((launcher, index) => ({
+        id: `launcher-${index + 1}`,
+        name: `Launcher ${index + 1}`,
+        count: 1,
+        delay: 0,
+        color: MARBLE_COLORS[index % MARBLE_COLORS.length],
+        ...launcher
+    }));
+}
+
+/**
+ * Every marble a level releases: each launcher's formation, or
+ * marbleCount marbles from the level's start when it has no launchers.
+ * No marble is thrown faster or slower than the level's speed range allows.
+ * @param {Object} launch - The player's aim, for launchers without their own
+ */
+function createLevelMarbles(level, launch = resolveLaunch(level.launch)) {
+    const launchers = getLaunchers(level);
+    const options = { collisions: Boolean(level.marbleCollisions), speedRange: getLaunchRange(level.launch, 'speed') };
+    if (launchers.length === 0) {
+        return createLaunchFormation(level.start ?? { x: -8, y: 8 }, level.marbleCount ?? 3, launch, null, options);
+    }
+
+    return launchers.flatMap(launcher => createLaunchFormation(
+        launcher,
+        launcher.count,
+        { angle: launcher.angle ?? launch.angle, speed: launcher.speed ?? launch.speed },
+        launcher,
+        options
+    ));
+}
+
+/**
+ * Play a level to the end without p5 or the DOM: launch its marbles and
+ * step them a frame at a time, exactly as Game does, until the last star
+ * is collected, every marble has left the bounds, or maxFrames run out; a
+ * level without stars runs until its marbles leave. The same level and
+ * equations always give the same result.
+ *
+ * @param {Object} level - { stars: [{ x, y, radius }], start: { x, y }, marbleCount,
+ *   marbleCollisions, bounds: { minX, maxX, minY, maxY }, launch: rules and choice as
+ *   resolveLaunch takes them, launchers: as getLaunchers reads them, physics: overrides
+ *   as resolvePhysicsConfig takes them }; stars are copied, not marked, and a star's
+ *   launcher, when set, is the only launcher whose marbles collect it
+ * @param {Array} equations - Parsed equations, as EquationParser.parseEquation returns them
+ * @param {Object} options - { maxFrames: 3600, physics: a PhysicsEngine to use as it is,
+ *   or overrides on top of the level's, parser: an EquationParser whose playing sliders
+ *   advance with the run and are put back when it ends }
+ * @returns {Object} { complete: whether every star was collected, frames, starsCollected: [{ star, marble, launcher, frame }],
+ *   events: [{ frame, type, marble, star?, other? }], marbles: [{ id, x, y, vx, vy, onPath, inBounds }] }
+ *   where star is an index into level.stars and marble and other are ids
+ */
+function simulateRun(level, equations, options = {}) {
+    const physics = options.physics instanceof PhysicsEngine
+        ? options.physics
+        : new PhysicsEngine(resolvePhysicsConfig(level.physics, options.physics));
+    const maxFrames = options.maxFrames ?? 3600;
+    const bounds = level.bounds ?? RUN_BOUNDS;
+
+    const stars = (level.stars ?? []).map(star => ({ ...star, collected: false }));
+    const marbles = createLevelMarbles(level);
+    marbles.forEach(marble => { marble.stars = stars; });
+
+    const events = [];
+    const starsCollected = [];
+    const outside = new Set();
+    let frames = 0;
+
+    // Playing sliders are put back afterwards, so the same parser replays the run the same way
+    const parser = options.parser;
+    const sliders = parser ? parser.getParameters().map(({ name, value, direction }) => ({ name, value, direction })) : [];
+
+    try {
+        while (frames < maxFrames) {
+            const changed = parser?.animateParameters(RUN_FRAME_SECONDS) ?? [];
+            if (changed.length > 0) {
+                physics.dropRails(parser.findAffected(equations, changed.map(parameter => parameter.name)));
+            }
+            const frame = physics.updateRun(marbles, equations, stars, bounds, Boolean(level.marbleCollisions));
+            frames++;
+
+            frame.events.forEach(({ type, marble, star, other }) => {
+                const event = { frame: frames, type, marble: marble.id };
+                if (star) {
+                    event.star = stars.indexOf(star);
+                    starsCollected.push({ star: event.star, marble: marble.id, launcher: marble.launcher, frame: frames });
+                }
+                if (other) event.other = other.id;
+                events.push(event);
+            });
+
+            marbles.forEach(marble => {
+                if (!outside.has(marble) && !physics.checkBounds(marble, bounds)) {
+                    outside.add(marble);
+                    events.push({ frame: frames, type: 'exit', marble: marble.id });
+                }
+            });
+
+            if (stars.length > 0 && starsCollected.length === stars.length) break;
+            if (!frame.inBounds) break;
+        }
+    } finally {
+        const moved = sliders.filter(({ name, value, direction }) => (
+            parser.parameters[name].value !== value || parser.parameters[name].direction !== direction
+        ));
+        moved.forEach(({ name, value, direction }) => {
+            parser.setParameter(name, { value });
+            parser.parameters[name].direction = direction;
+        });
+        if (moved.length > 0) physics.dropRails(parser.findAffected(equations, moved.map(({ name }) => name)));
+    }
+
+    return {
+        complete: starsCollected.length === stars.length,
+        frames,
+        starsCollected,
+        events,
+        marbles: marbles.map(marble => ({
+            id: marble.id,
+            x: marble.position.x,
+            y: marble.position.y,
+            vx: marble.velocity.x,
+            vy: marble.velocity.y,
+            onPath: marble.onPath,
+            inBounds: !outside.has(marble)
+        }))
+    };
+}
+
 // ============================================================================
 // EXPORT FOR USE
 // ============================================================================
@@ -1178,4 +2381,22 @@ if (typeof window !== 'undefined') {
     window.Vector2D = Vector2D;
     window.PhysicsEngine = PhysicsEngine;
     window.Marble = Marble;
+    window.createLaunchFormation = createLaunchFormation;
+    window.getLaunchers = getLaunchers;
+    window.createLevelMarbles = createLevelMarbles;
+    window.resolveLaunch = resolveLaunch;
+    window.getLaunchRange = getLaunchRange;
+    window.simulateRun = simulateRun;
+    window.PHYSICS_SETTINGS = PHYSICS_SETTINGS;
+    window.PHYSICS_PRESETS = PHYSICS_PRESETS;
+    window.resolvePhysicsConfig = resolvePhysicsConfig;
+}
+
+// Node has no window: a headless run imports this file and finds the engine on globalThis
+if (typeof window === 'undefined') {
+    Object.assign(globalThis, {
+        Vector2D, PhysicsEngine, Marble, createLaunchFormation, getLaunchers, createLevelMarbles,
+        resolveLaunch, getLaunchRange, simulateRun,
+        PHYSICS_SETTINGS, PHYSICS_PRESETS, resolvePhysicsConfig
+    });
 }
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers.js';
+
+const run = loadScripts();
+
+test('free letters become shared sliders that every equation reads', () => {
+    const result = structuredClone(run(`
+        (() => {
+            const parser = new EquationParser();
+            const line = parser.parseEquation('y = a*x + b');
+            const other = parser.parseEquation('y = b - x');
+            parser.setParameter('a', { value: 2 });
+            parser.setParameter('b', { value: -3 });
+            return { line: line.parameters, other: other.parameters, values: [line.evaluate(4), other.evaluate(4)] };
+        })()
+    `));
+
+    assert.deepEqual(result, { line: ['a', 'b'], other: ['b'], values: [5, -7] });
+});
+
+test('a playing slider bounces off the end of its range', () => {
+    const values = structuredClone(run(`
+        (() => {
+            const parser = new EquationParser();
+            parser.parseEquation('y = a*x');
+            parser.setParameter('a', { value: 9, min: 0, max: 10, playing: true });
+            return [0.2, 0.8, 0.8].map(seconds => {
+                parser.animateParameters(seconds);
+                return Math.round(parser.getParameters()[0].value * 1e6) / 1e6;
+            });
+        })()
+    `));
+
+    assert.deepEqual(values, [9.5, 8.5, 6.5]);
+});
+
+test('later entries use the functions and values defined before them', () => {
+    const values = structuredClone(run(`
+        (() => {
+            const parser = new EquationParser();
+            const sources = ['k = 2', 'f(x) = x^2 - k', 'y = f(x) + k'];
+            const equations = sources.map(source => parser.parseEquation(source));
+            parser.updateDefinitions(equations);
+            return [parser.reparseEquation(equations[2]).evaluate(3), equations.map(equation => equation.type)];
+        })()
+    `));
+
+    assert.deepEqual(values, [9, ['definition', 'definition', 'explicit_y']]);
+});
+
+/** [x, y] of a parametric entry at each t, NaN where its restriction cuts it */
+function sampleParametric(source, ts) {
+    return structuredClone(run(`
+        (() => {
+            const curve = new EquationParser().parseEquation(${JSON.stringify(source)});
+            return ${JSON.stringify(ts)}.map(t => [curve.evaluateX(t), curve.evaluateY(t)]);
+        })()
+    `));
+}
+
+test('a restriction on x alone cuts both coordinates of a parametric curve', () => {
+    assert.deepEqual(sampleParametric('x = t, y = t^2 {x > 0}', [-1, 0.5, 1.5]), [[NaN, NaN], [0.5, 0.25], [1.5, 2.25]]);
+});
+
+test('a restriction on y alone cuts both coordinates of a parametric curve', () => {
+    assert.deepEqual(sampleParametric('x = 2t, y = t {y < 1}', [-1, 0.5, 1.5]), [[-2, -1], [1, 0.5], [NaN, NaN]]);
+});
+
+/** The value of a y = {...} entry at each x, NaN where no branch applies */
+function sampleBranches(source, xs) {
+    return structuredClone(run(`
+        (() => {
+            const curve = new EquationParser().parseEquation(${JSON.stringify(source)});
+            return ${JSON.stringify(xs)}.map(x => curve.evaluate(x));
+        })()
+    `));
+}
+
+test('the first branch whose condition holds gives the value', () => {
+    assert.deepEqual(sampleBranches('y = {x < 0: -x, 0 <= x < 3: x^2, 5}', [-2, 2, 4]), [2, 4, 5]);
+});
+
+test('branches on a curve other than y = or x = are refused', () => {
+    assert.throws(() => run(`new EquationParser().parseEquation('r = {theta < pi: 1, 2}')`), /only work on y = and x =/);
+});
+
+/** The [min, max] a parametric or polar entry is traced over */
+function rangeOf(source) {
+    return structuredClone(run(`
+        (() => {
+            const { min, max } = new EquationParser().parseEquation(${JSON.stringify(source)}).getRange();
+            return [min, max];
+        })()
+    `));
+}
+
+test('a "for" range or a restriction on the parameter sets how far a curve is traced', () => {
+    assert.deepEqual(rangeOf('(t, t^2/4) for 0 <= t <= 8'), [0, 8]);
+    assert.deepEqual(rangeOf('r = theta/2 {0 <= theta <= 6pi}'), [0, 6 * Math.PI]);
+});
+
+/** The types of the analytic tracks an implicit entry is solved into, or null */
+function trackTypes(source) {
+    return structuredClone(run(`new EquationParser().parseEquation(${JSON.stringify(source)}).tracks?.map(track => track.type) ?? null`));
+}
+
+test('implicit lines and conics are solved into analytic tracks', () => {
+    assert.deepEqual(trackTypes('2y - x = 4'), ['explicit_y']);
+    assert.deepEqual(trackTypes('x^2 + y^2 = 9'), ['parametric']);
+    assert.deepEqual(trackTypes('y^2 - x^2 = 1'), ['explicit_y', 'explicit_y']);
+    assert.equal(trackTypes('sin(x y) = 0.5'), null);
+});
+
+test('pasted LaTeX reads as the input dialect', () => {
+    const converted = structuredClone(run(`
+        (() => {
+            const parser = new EquationParser();
+            return ['y=\\\\frac{1}{2}x^{2}-3', 'r=2\\\\sin(3\\\\theta)', 'y=\\\\left|x\\\\right|', 'y=\\\\sqrt[3]{x}\\\\cdot 2\\\\pi x']
+                .map(source => parser.fromLatex(source));
+        })()
+    `));
+
+    assert.deepEqual(converted, ['y=(1/2)x^2-3', 'r=2 sin(3 theta)', 'y=|x|', 'y=root(3, x)*2 pi x']);
+});
+
+test('lists expand into a family of curves and sums into one curve', () => {
+    const [family, sum] = structuredClone(run(`
+        (() => {
+            const parser = new EquationParser();
+            const family = parser.parseEquation('y = [1, 2, 3]x + [0, 1, 2]');
+            const sum = parser.parseEquation('y = sum(n=1, 3, n x)');
+            return [[family.type, family.members.map(member => member.evaluate(2))], sum.evaluate(2)];
+        })()
+    `));
+
+    assert.deepEqual(family, ['family', [2, 5, 8]]);
+    assert.equal(sum, 12);
+});
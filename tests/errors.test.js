@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers.js';
+
+const run = loadScripts();
+
+/** The code and [start, end) range parseEquation reports for an input, or null if it parses */
+function errorFor(source) {
+    return structuredClone(run(`
+        (() => {
+            try {
+                new EquationParser().parseEquation(${JSON.stringify(source)});
+                return null;
+            } catch (error) {
+                return { code: error.code, start: error.start, end: error.end };
+            }
+        })()
+    `));
+}
+
+const cases = [
+    ['y = x +', 'unexpected_end', 6, 7],
+    ['y = (x', 'unbalanced_paren', 4, 5],
+    ['y = x)', 'unbalanced_paren', 5, 6],
+    ['y = x = 2', 'too_many_equals', 6, 7],
+    ['y = x,', 'unexpected_token', 5, 6],
+    [', y = x', 'unexpected_token', 0, 1],
+    ['(cos(t), )', 'unexpected_token', 7, 8],
+    ['y == x', 'unexpected_token', 2, 4],
+    ['y != x', 'unexpected_token', 2, 4],
+    ['r = {theta < pi: 1, 2}', 'unsupported_branches', 4, 22],
+    ['{x > 0}', 'missing_equation', 0, 7]
+];
+
+cases.forEach(([source, code, start, end]) => {
+    test(`"${source}" is reported as ${code} at ${start}..${end}`, () => {
+        assert.deepEqual(errorFor(source), { code, start, end });
+    });
+});
+
+/** The error updateDefinitions reports for a list of entries, with where it points */
+function definitionErrorFor(sources) {
+    return structuredClone(run(`
+        (() => {
+            const parser = new EquationParser();
+            try {
+                parser.updateDefinitions(${JSON.stringify(sources)}.map(source => parser.parseEquation(source)));
+                return null;
+            } catch (error) {
+                const { code, start, end, source, suggestion } = error;
+                return { code, start, end, source, suggestion };
+            }
+        })()
+    `));
+}
+
+test('a circular definition is reported on the name of its last entry', () => {
+    assert.deepEqual(definitionErrorFor(['f(x) = g(x) + 1', 'k = 2', 'g(x) = 2f(x)']), {
+        code: 'circular_definition', start: 0, end: 1, source: 'g(x) = 2f(x)',
+        suggestion: 'Remove the reference to f from g'
+    });
+});
+
+test('a name defined twice is reported on the second definition', () => {
+    assert.deepEqual(definitionErrorFor(['k = 2', 'y = k', 'k = 3']), {
+        code: 'duplicate_definition', start: 0, end: 1, source: 'k = 3',
+        suggestion: 'Rename one of them, or edit the first k instead'
+    });
+});
@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers.js';
+
+const run = loadScripts();
+
+test('every corpus entry parses to its reference expression', () => {
+    assert.deepEqual(structuredClone(run('new ExpressionParser().checkCorpus(new EquationParser())')), []);
+});
+
+test('native closures agree with math.js on the corpus', () => {
+    assert.deepEqual(structuredClone(run('new ExpressionCompiler(new EquationParser()).checkCorpus()')), []);
+});
@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootGame } from './helpers.js';
+
+const window = await bootGame();
+const { game } = window;
+
+/** Play the launched marbles to the end, a fixed step at a time, as draw() would */
+function playOut(maxFrames = 3600) {
+    let frames = 0;
+    while (game.gameRunning && frames < maxFrames) {
+        game.stepSimulation(game.stepSeconds);
+        frames++;
+    }
+    return frames;
+}
+
+/** Launch on the current puzzle and play it out with frames of the given rate */
+function playAtFrameRate(fps, maxSeconds = 60) {
+    game.launchMarbles();
+    for (let frame = 0; game.gameRunning && frame < maxSeconds * fps; frame++) {
+        game.stepSimulation(1 / fps);
+    }
+    return { running: game.gameRunning, marbles: game.marbles.map(({ position }) => [position.x, position.y]) };
+}
+
+test('a run ends in the same place at any frame rate', () => {
+    game.startNewPuzzle(true);
+    game.addEquation('y = -x/2 + 3');
+
+    const at60 = playAtFrameRate(60);
+    const at144 = playAtFrameRate(144);
+
+    assert.equal(at60.running, false);
+    assert.deepEqual(at144, at60);
+});
+
+test('a launched run ends exactly where simulateRun says it does', () => {
+    game.loadLevel({ stars: [{ x: 4, y: 1 }, { x: 9, y: -6 }], launch: { angle: 60, speed: 7 } });
+    game.addEquation('y = -x/2 + 3');
+    game.addEquation('y = sin(x) - 4');
+    const level = game.getLevel();
+
+    game.launchMarbles();
+    const frames = playOut();
+    const run = window.simulateRun(level, game.equations);
+
+    assert.equal(run.frames, frames);
+    assert.deepEqual(
+        run.marbles.map(({ id, x, y }) => [id, x, y]),
+        game.marbles.map(({ id, position }) => [id, position.x, position.y])
+    );
+});
+
+/** Where each marble of a fresh launch in the given mode starts, and how it is thrown at the default aim */
+function launchFormation(modeId) {
+    game.setMode(modeId);
+    game.setLaunch({ angle: 0, speed: 0.5 });
+    game.addEquation('y = -x/2 + 3');
+    game.launchMarbles();
+    const marbles = game.marbles.map(({ position, velocity, radius }) => ({ position, velocity, radius }));
+    game.reset();
+    return marbles;
+}
+
+test('a mode with marble collisions starts its marbles clear of one another', () => {
+    const marbles = launchFormation('zen');
+
+    marbles.slice(1).forEach((marble, i) => {
+        const gap = marble.position.sub(marbles[i].position).magnitude() - marble.radius - marbles[i].radius;
+        assert.ok(gap > 0, `gap = ${gap}`);
+    });
+});
+
+test('a launch without collisions keeps the classic line and spread', () => {
+    const marbles = launchFormation('classic')
+        .map(({ position, velocity }) => [position.x, position.y, velocity.x, velocity.y].map(value => Number(value.toFixed(9))));
+
+    assert.deepEqual(structuredClone(marbles), [
+        [-8.08, 8.32, 0.47, 0.01],
+        [-8, 8, 0.5, 0],
+        [-7.92, 7.68, 0.53, -0.01]
+    ]);
+});
+
+test('editing an equation keeps the type the player forced', () => {
+    game.startNewPuzzle(true);
+    game.addEquation('y = 2x + 1');
+    game.setEquationType(0, 'implicit');
+
+    game.editEquation(0);
+    game.addEquation('y = 3x + 1');
+
+    assert.equal(game.equations[0].original, 'y = 3x + 1');
+    assert.equal(game.equations[0].typeOverride, 'implicit');
+    assert.equal(game.equations[0].type, 'implicit');
+});
+
+test('the preview is typeset from the parse tree and reads back as the same curve', () => {
+    const latex = window.mathKeyboard.toLatex('y = x^2/4 {x > 0}');
+    assert.match(latex, /\\frac/);
+
+    const curve = game.equationParser.parseEquation(latex);
+    assert.equal(curve.evaluate(2), 1);
+    assert.ok(Number.isNaN(curve.evaluate(-2)));
+});
+
+test('the preview marks up the text as typed before the game has loaded', () => {
+    const loaded = window.game;
+    window.game = undefined;
+    try {
+        assert.equal(window.mathKeyboard.toLatex('y = sqrt(x) {x > 0}'), 'y = \\sqrt{x} \\{x > 0\\}');
+    } finally {
+        window.game = loaded;
+    }
+});
+
+test('the benchmark leaves native compilation as the player set it', () => {
+    game.equationParser.useNativeCompilation = false;
+    game.runBenchmark({ frames: 1 });
+    assert.equal(game.equationParser.useNativeCompilation, false);
+
+    game.equationParser.useNativeCompilation = true;
+    game.runBenchmark({ frames: 1 });
+    assert.equal(game.equationParser.useNativeCompilation, true);
+});
+
+test('a circular definition underlines the name of the entry that closes it', () => {
+    game.startNewPuzzle(true);
+    game.addEquation('f(x) = g(x) + 1');
+    game.ui.equationInput.value = 'g(x) = 2f(x)';
+    game.addEquation(game.ui.equationInput.value);
+
+    assert.equal(game.equations.length, 1);
+    assert.equal(window.document.querySelector('#equationErrorMarker mark').textContent, 'g');
+    assert.equal(game.ui.equationErrorHint.textContent, 'Remove the reference to f from g');
+});
+
+test('each mode plays with its own physics, under a level\'s and the dev panel\'s', () => {
+    game.setMode('blitz');
+    assert.equal(game.physics.gravity, -12);
+
+    game.loadLevel({ stars: [{ x: 4, y: 1 }], physics: { rollingFriction: 0.1 } });
+    assert.equal(game.physics.gravity, -12);
+    assert.equal(game.physics.rollingFriction, 0.1);
+
+    game.setMode('daily');
+    assert.equal(game.physics.rollingFriction, 0);
+
+    const { slider } = game.ui.physicsControls.gravity;
+    const physics = game.physics;
+    slider.value = '-4';
+    slider.dispatchEvent(new window.Event('input'));
+    assert.equal(game.physics, physics);
+
+    slider.dispatchEvent(new window.Event('change'));
+    assert.equal(game.physics.gravity, -4);
+
+    game.setPhysicsPreset('');
+    game.setMode('classic');
+});
@@ -0,0 +1,45 @@
+/**
+ * Loads the browser scripts the way index.html does, so tests can reach
+ * their globals without a bundler: loadScripts() runs the engine files in a
+ * plain vm realm, bootGame() runs every script against index.html in jsdom.
+ */
+import fs from 'node:fs';
+import vm from 'node:vm';
+import { JSDOM } from 'jsdom';
+
+const root = new URL('../', import.meta.url);
+const read = (path) => fs.readFileSync(new URL(path, root), 'utf8');
+const mathjs = read('node_modules/mathjs/lib/browser/math.js');
+
+// The page's own scripts in load order; the engine is everything before the UI
+const PAGE_SCRIPTS = [...read('index.html').matchAll(/<script src="([\w.]+\.js)"><\/script>/g)].map(match => match[1]);
+const ENGINE_SCRIPTS = PAGE_SCRIPTS.slice(0, PAGE_SCRIPTS.indexOf('ui.js'));
+
+/**
+ * A realm with math.js and the engine scripts; evaluate code in it with the
+ * returned function. Its objects have that realm's prototypes, so compare
+ * plain results after structuredClone.
+ */
+export function loadScripts(scripts = ENGINE_SCRIPTS) {
+    const context = vm.createContext({ console });
+    vm.runInContext(mathjs, context);
+    scripts.forEach(file => vm.runInContext(read(file), context, { filename: file }));
+    return (code) => vm.runInContext(code, context);
+}
+
+/**
+ * index.html in jsdom with every script loaded and a p5 that never draws.
+ * The game starts on jsdom's own DOMContentLoaded, as in a browser, so
+ * there is only ever one.
+ * @returns {Promise<Window>} The page's window, with window.game ready
+ */
+export async function bootGame() {
+    const html = read('index.html').replace(/<script[^>]*src=[^>]*><\/script>/g, '');
+    const { window } = new JSDOM(html, { url: 'http://localhost/', runScripts: 'outside-only', pretendToBeVisual: true });
+    const loaded = new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+    window.eval(mathjs);
+    window.eval('window.p5 = function (sketch) { this.sketch = sketch; };');
+    window.eval(PAGE_SCRIPTS.map(read).join('\n;\n'));
+    await loaded;
+    return window;
+}
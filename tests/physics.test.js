@@ -0,0 +1,216 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers.js';
+
+const run = loadScripts();
+
+test('slopes and curvature come from symbolic derivatives on every curve type', () => {
+    const [slope, bend, polar, parametric] = structuredClone(run(`
+        (() => {
+            const parser = new EquationParser();
+            const physics = new PhysicsEngine();
+            const wave = parser.parseEquation('y = sin(3x)');
+            const near = new Vector2D(0, 2.1);
+            return [
+                physics.calculateDerivative(wave, 1),
+                physics.calculateSecondDerivative(wave, 1),
+                physics.analyzePolar(near, parser.parseEquation('r = 2 {0 <= theta <= 2pi}')).curvature,
+                physics.analyzeParametric(near, parser.parseEquation('(2cos(t), 2sin(t))')).curvature
+            ];
+        })()
+    `));
+
+    assert.equal(slope, 3 * Math.cos(3));
+    assert.equal(bend, -9 * Math.sin(3));
+    assert.ok(Math.abs(polar - 0.5) < 1e-9, `polar curvature ${polar}`);
+    assert.ok(Math.abs(parametric - 0.5) < 1e-9, `parametric curvature ${parametric}`);
+});
+
+/**
+ * Drop one marble at rest onto the given entries and step it frame by frame.
+ * @returns {Object} { x, y, speed, onPath, events: count of each event type }
+ */
+function dropMarble(sources, start, frames) {
+    return structuredClone(run(`
+        (() => {
+            const parser = new EquationParser();
+            const equations = ${JSON.stringify(sources)}.map(source => parser.parseEquation(source));
+            const physics = new PhysicsEngine();
+
+            const marble = new Marble(${start.x}, ${start.y}, { vx: 0, vy: 0 });
+            const events = {};
+            for (let frame = 0; frame < ${frames}; frame++) {
+                const result = physics.update(marble, 1, equations, []);
+                ['attach', 'detach'].filter(type => result[type + 'ed']).forEach(type => {
+                    events[type] = (events[type] ?? 0) + 1;
+                });
+            }
+            const { x, y } = marble.position;
+            return { x, y, speed: marble.velocity.magnitude(), onPath: marble.onPath, events };
+        })()
+    `));
+}
+
+test('a marble rolls down into the hollow of a region and settles at the bottom', () => {
+    const marble = dropMarble(['y < 0.2x^2 - 5'], { x: -3, y: 5 }, 6000);
+
+    assert.ok(Math.abs(marble.x) < 0.1, `x = ${marble.x}`);
+    assert.ok(Math.abs(marble.y + 5) < 0.05, `y = ${marble.y}`);
+    assert.ok(marble.speed < 0.2, `speed = ${marble.speed}`);
+    assert.ok(marble.onPath);
+    assert.ok(marble.events.attach <= 2, `attached ${marble.events.attach} times`);
+    assert.equal(marble.events.detach ?? 0, 0);
+});
+
+test('a marble rolling in a one-sided track stays on it through the turns', () => {
+    const marble = dropMarble(['y = 0.2x^2 - 5'], { x: -3, y: 5 }, 1200);
+    const track = 0.2 * marble.x ** 2 - 5;
+
+    assert.ok(Math.abs(marble.x) < 6, `x = ${marble.x}`);
+    assert.ok(marble.y > track - 0.25, `y = ${marble.y}, track at ${track}`);
+});
+
+test('a fast marble stops at the track below and collects a star it flew through', () => {
+    const [height, collected] = structuredClone(run(`
+        (() => {
+            const parser = new EquationParser();
+            const physics = new PhysicsEngine();
+
+            const falling = new Marble(0, 3, { vx: 0, vy: -400 });
+            physics.update(falling, 1, [parser.parseEquation('y = 0')], []);
+
+            const flying = new Marble(0, 3, { vx: 400, vy: 0 });
+            const star = { x: 3, y: 3, radius: 0.3, collected: false };
+            return [falling.position.y, physics.update(flying, 1, [], [star]).starsCollected.length];
+        })()
+    `));
+
+    assert.ok(height > -0.01, `ended at y = ${height}`);
+    assert.equal(collected, 1);
+});
+
+test('a marble that hits a track fast bounces off it with the track\'s restitution', () => {
+    const [bounced, attached, upward] = structuredClone(run(`
+        (() => {
+            const parser = new EquationParser();
+            const physics = new PhysicsEngine();
+            const floor = parser.parseEquation('y = 0');
+            floor.restitution = 0.8;
+
+            const marble = new Marble(0, 0.5, { vx: 0, vy: -60 });
+            const result = physics.update(marble, 1, [floor], []);
+            return [result.bounced, marble.onPath, marble.velocity.y / 60];
+        })()
+    `));
+
+    assert.equal(bounced, true);
+    assert.equal(attached, false);
+    assert.ok(upward > 0.6 && upward <= 0.8, `left at ${upward} of the impact speed`);
+});
+
+test('marbles pushed apart on a track are put back on it where they now are', () => {
+    const marbles = structuredClone(run(`
+        (() => {
+            const equation = new EquationParser().parseEquation('y = x/2');
+            const physics = new PhysicsEngine();
+
+            const marbles = [0, 0.1].map(x => {
+                const marble = new Marble(x, x / 2);
+                Object.assign(marble, { onPath: true, currentEquation: equation, pathParameter: x, pathParameterType: 'x' });
+                return marble;
+            });
+            physics.resolveMarblePair(...marbles);
+            return marbles.map(({ position: { x, y }, pathParameter, onPath }) => ({ x, y, pathParameter, onPath }));
+        })()
+    `));
+
+    assert.ok(marbles[1].x - marbles[0].x > 0.35, `${marbles[0].x} .. ${marbles[1].x}`);
+    marbles.forEach(marble => {
+        assert.ok(marble.onPath);
+        assert.ok(Math.abs(marble.pathParameter - marble.x) < 1e-6, `parameter ${marble.pathParameter} at x = ${marble.x}`);
+        assert.ok(Math.abs(marble.y - marble.x / 2) < 1e-6, `y = ${marble.y} at x = ${marble.x}`);
+    });
+});
+
+test('a marble that rolls off the end of a rail flies on instead of sticking there', () => {
+    // The rail of x = y^2/8 - 6 stops where the curve passes x = 20
+    const marble = dropMarble(['x = y^2/8 - 6'], { x: -3, y: 5 }, 400);
+
+    assert.equal(marble.onPath, false);
+    assert.ok(marble.x > 25, `x = ${marble.x}`);
+});
+
+test('a level without stars runs until its marbles leave the board', () => {
+    const result = structuredClone(run(`
+        simulateRun({ stars: [], start: { x: 0, y: 5 }, marbleCount: 1 }, [], { maxFrames: 600 })
+    `));
+
+    assert.ok(result.frames > 0 && result.frames < 600, `frames = ${result.frames}`);
+    assert.equal(result.complete, true);
+    assert.equal(result.marbles[0].inBounds, false);
+    assert.deepEqual(result.events.map(({ type }) => type), ['exit']);
+});
+
+test('every marble of a launch is thrown within the level\'s speed range', () => {
+    const speeds = (launch) => structuredClone(run(`
+        createLevelMarbles({ marbleCount: 5, launch: ${JSON.stringify(launch)} })
+            .map(marble => marble.velocity.magnitude())
+    `));
+
+    const within = (launch, [min, max]) => speeds(launch).forEach(speed => (
+        assert.ok(speed > min - 1e-9 && speed < max + 1e-9, `speed = ${speed}`)
+    ));
+
+    within({ angle: 30, speed: 4, speedRange: [4, 4] }, [4, 4]);
+    assert.deepEqual(speeds({ speed: 0, speedRange: [0, 0] }), [0, 0, 0, 0, 0]);
+    within({ speed: 0 }, [0, 0.1]);
+    within({ speed: 8, speedRange: [2, 8] }, [2, 8]);
+});
+
+test('each launcher releases its own marbles after its delay, and only they collect its stars', () => {
+    const level = {
+        launchers: [
+            { x: -8, y: 8, count: 2, angle: 180, speed: 2 },
+            { x: 4, y: 8, delay: 0.5, speed: 0 }
+        ],
+        stars: [
+            { x: 4, y: 5, radius: 0.4, launcher: 'launcher-1' },
+            { x: 4, y: 3, radius: 0.4, launcher: 'launcher-2' }
+        ]
+    };
+    const [marbles, result] = structuredClone(run(`[
+        createLevelMarbles(${JSON.stringify(level)})
+            .map(({ id, launcher, releaseFrames }) => ({ id, launcher, releaseFrames })),
+        simulateRun(${JSON.stringify(level)}, [], { maxFrames: 600 })
+    ]`));
+
+    assert.deepEqual(marbles, [
+        { id: 'launcher-1-1', launcher: 'launcher-1', releaseFrames: 0 },
+        { id: 'launcher-1-2', launcher: 'launcher-1', releaseFrames: 0 },
+        { id: 'launcher-2-1', launcher: 'launcher-2', releaseFrames: 30 }
+    ]);
+    assert.equal(result.complete, false);
+    assert.deepEqual(result.starsCollected.map(({ star, marble }) => [star, marble]), [[1, 'launcher-2-1']]);
+    assert.ok(result.starsCollected[0].frame > 30, `frame = ${result.starsCollected[0].frame}`);
+});
+
+test('a run with playing sliders replays the same and leaves the sliders where they were', () => {
+    const runs = structuredClone(run(`
+        (() => {
+            const parser = new EquationParser();
+            const equations = ['y = a - x/2', 'y = sin(x) - b'].map(source => parser.parseEquation(source));
+            parser.setParameter('a', { value: 2, playing: true });
+            parser.setParameter('b', { value: -3, playing: true });
+            const level = { stars: [{ x: 4, y: 0 }], start: { x: -6, y: 8 }, marbleCount: 2 };
+
+            return [1, 2].map(() => ({
+                result: simulateRun(level, equations, { parser, maxFrames: 900 }),
+                sliders: parser.getParameters().map(({ name, value, direction }) => [name, value, direction])
+            }));
+        })()
+    `));
+
+    assert.ok(runs[0].result.frames > 0);
+    assert.deepEqual(runs[1], runs[0]);
+    assert.deepEqual(runs[0].sliders, [['a', 2, 1], ['b', -3, 1]]);
+});
@@ -7,6 +7,8 @@
 class UIManager {
     constructor() {
         this.equationInput = document.getElementById('equationInput');
+        this.equationErrorMarker = document.getElementById('equationErrorMarker');
+        this.equationErrorHint = document.getElementById('equationErrorHint');
         this.addEquationBtn = document.getElementById('addEquationBtn');
         this.cancelEditBtn = document.getElementById('cancelEditBtn');
         this.launchBtn = document.getElementById('launchBtn');
@@ -30,9 +32,40 @@ class UIManager {
         this.modeGrid = document.getElementById('modeGrid');
         this.startX = document.getElementById('startX');
         this.startY = document.getElementById('startY');
+        this.launchAngle = document.getElementById('launchAngle');
+        this.launchSpeed = document.getElementById('launchSpeed');
+        this.launcherHud = document.getElementById('launcherHud');
+        this.physicsPanel = document.getElementById('physicsPanel');
+        this.physicsPreset = document.getElementById('physicsPreset');
+        this.physicsSettings = document.getElementById('physicsSettings');
+        this.physicsExportBtn = document.getElementById('physicsExportBtn');
+        this.physicsExport = document.getElementById('physicsExport');
 
         this.feedbackTimeout = null;
+        this.parameterControls = {};
+        this.physicsControls = {};
+
+        // How each curve type reads in the equation list, and which ones a row can be switched to
+        this.typeLabels = {
+            explicit_y: 'y = f(x)', explicit_x: 'x = f(y)',
+            constant_y: 'horizontal line', constant_x: 'vertical line',
+            implicit: 'implicit', parametric: 'parametric', polar: 'polar',
+            inequality: 'inequality', piecewise: 'piecewise'
+        };
+        this.overrideTypes = ['explicit_y', 'explicit_x', 'implicit', 'parametric', 'polar', 'inequality'];
+
+        // Sides of a track that catch marbles; the other side lets them through
+        this.surfaceLabels = { above: 'on top', below: 'underneath', both: 'on both sides' };
+
+        // Restitution a row can be given; an empty value leaves the engine's bounceCoefficient
+        this.bounceLevels = [
+            { value: '', label: 'Bounce: normal' },
+            { value: '0', label: 'Bounce: none' },
+            { value: '0.3', label: 'Bounce: low' },
+            { value: '0.9', label: 'Bounce: high' }
+        ];
         this.setupEventListeners();
+        this.setupPhysicsPanel();
     }
 
     setupEventListeners() {
@@ -52,6 +85,9 @@ class UIManager {
                     window.game?.addEquation(this.equationInput.value);
                 }
             });
+            this.equationInput.addEventListener('input', () => this.clearInputError());
+            this.equationInput.addEventListener('paste', (event) => this.handleEquationPaste(event));
+            this.equationInput.addEventListener('scroll', () => this.syncErrorMarker());
         }
 
         if (this.launchBtn) {
@@ -80,6 +116,16 @@ class UIManager {
                 input.addEventListener('input', () => this.validateCoordinateInput(input));
             }
         });
+
+        // Typed aims are clamped to what the level allows when the field is left
+        [[this.launchAngle, 'angle'], [this.launchSpeed, 'speed']].forEach(([input, field]) => {
+            if (input) {
+                input.addEventListener('change', () => {
+                    const value = parseFloat(input.value);
+                    window.game?.setLaunch(Number.isFinite(value) ? { [field]: value } : {});
+                });
+            }
+        });
     }
 
     validateCoordinateInput(input) {
@@ -100,6 +146,109 @@ class UIManager {
         };
     }
 
+    /** Levels with launchers place their own marbles, so the start point cannot be typed */
+    setStartLocked(locked) {
+        [this.startX, this.startY].forEach((input) => {
+            if (!input) return;
+            input.disabled = locked;
+            input.closest('.coord-box')?.classList.toggle('locked', locked);
+        });
+    }
+
+    /** Show the aim, with each field's range narrowed, or locked, by the level's launch rules */
+    updateLaunchControls(launch, rules = {}) {
+        [[this.launchAngle, 'angle'], [this.launchSpeed, 'speed']].forEach(([input, field]) => {
+            if (!input) return;
+            const [min, max] = getLaunchRange(rules, field);
+            input.min = min;
+            input.max = max;
+            input.value = launch[field];
+            input.disabled = min === max;
+            input.closest('.coord-box')?.classList.toggle('locked', min === max);
+        });
+    }
+
+    getTypeLabel(type) {
+        return this.typeLabels[type] || type;
+    }
+
+    /** Shows the detected curve type and lets the player plot the entry as another */
+    createTypeSelect(equation, index) {
+        const select = document.createElement('select');
+        select.className = 'type-select' + (equation.typeOverride ? ' overridden' : '');
+        select.title = equation.typeOverride
+            ? `Plotted as ${this.getTypeLabel(equation.typeOverride)}; detected ${this.getTypeLabel(equation.detectedType)}`
+            : 'Detected from the variables on each side of the equation';
+        select.setAttribute('aria-label', `Curve type of equation ${index + 1}`);
+
+        const auto = document.createElement('option');
+        auto.value = '';
+        auto.textContent = equation.detectedType ? `Auto: ${this.getTypeLabel(equation.detectedType)}` : 'Auto';
+        select.appendChild(auto);
+
+        this.overrideTypes.forEach((type) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = this.getTypeLabel(type);
+            select.appendChild(option);
+        });
+
+        select.value = equation.typeOverride || '';
+        select.addEventListener('change', () => window.game?.setEquationType(index, select.value || null));
+        return select;
+    }
+
+    getSurfaceLabel(surface) {
+        return this.surfaceLabels[surface] || surface;
+    }
+
+    /** Which side of the track marbles land on; they pass through from the other */
+    createSurfaceSelect(equation, index) {
+        const select = document.createElement('select');
+        select.className = 'type-select' + (equation.surface ? ' overridden' : '');
+        select.title = 'Marbles land on this side of the track and pass through it from the other';
+        select.setAttribute('aria-label', `Solid side of equation ${index + 1}`);
+
+        const fallback = window.game?.physics.getDefaultSurface(equation) ?? 'both';
+        const auto = document.createElement('option');
+        auto.value = '';
+        auto.textContent = `Solid: auto (${this.getSurfaceLabel(fallback)})`;
+        select.appendChild(auto);
+
+        Object.keys(this.surfaceLabels).forEach((surface) => {
+            const option = document.createElement('option');
+            option.value = surface;
+            option.textContent = `Solid: ${this.getSurfaceLabel(surface)}`;
+            select.appendChild(option);
+        });
+
+        select.value = equation.surface || '';
+        select.addEventListener('change', () => window.game?.setEquationSurface(index, select.value || null));
+        return select;
+    }
+
+    /** How hard marbles that hit the track too fast bounce off it */
+    createBounceSelect(equation, index) {
+        const select = document.createElement('select');
+        const value = equation.restitution == null ? '' : String(equation.restitution);
+        select.className = 'type-select' + (value ? ' overridden' : '');
+        select.title = 'How much speed a marble keeps when it hits this track too fast to land on it';
+        select.setAttribute('aria-label', `Bounce of equation ${index + 1}`);
+
+        this.bounceLevels.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+
+        select.value = value;
+        select.addEventListener('change', () => {
+            window.game?.setEquationRestitution(index, select.value === '' ? null : Number(select.value));
+        });
+        return select;
+    }
+
     showFeedback(message, type = 'info') {
         if (!this.feedback) return;
 
@@ -116,10 +265,86 @@ class UIManager {
         }, type === 'success' ? 5200 : 3200);
     }
 
-    updateEquationsList(equations, editingIndex = -1) {
-        if (this.equationCount) this.equationCount.textContent = equations.length;
+    /**
+     * Show a parse error as a toast, underline the offending span of the
+     * input and put the suggestion (if any) under the field.
+     */
+    showEquationError(error) {
+        this.showFeedback(error.message, 'error');
+        this.clearInputError();
+        if (!this.equationInput) return;
+
+        this.equationInput.classList.add('has-error');
+        this.equationInput.setAttribute('aria-invalid', 'true');
+
+        const value = this.equationInput.value;
+        if (this.equationErrorMarker && error.start !== null && error.start !== undefined && error.source === value) {
+            const before = document.createElement('span');
+            before.textContent = value.slice(0, error.start);
+            const mark = document.createElement('mark');
+            // An error at the end of the input still needs something to underline
+            mark.textContent = value.slice(error.start, error.end) || '\u00a0';
+            this.equationErrorMarker.append(before, mark);
+            this.syncErrorMarker();
+        }
+
+        if (this.equationErrorHint && error.suggestion) {
+            this.equationErrorHint.textContent = error.suggestion;
+            this.equationErrorHint.hidden = false;
+        }
+    }
+
+    /** Typeset a list row with KaTeX, or show the equation as typed */
+    renderEquationText(element, equation) {
+        if (equation.latex && typeof katex !== 'undefined') {
+            try {
+                katex.render(equation.latex, element, { throwOnError: false });
+                return;
+            } catch (error) {
+                // Fall through to the plain text
+            }
+        }
+        element.textContent = equation.original;
+    }
+
+    /** Replace pasted LaTeX (from Desmos or a worksheet) with the input dialect */
+    handleEquationPaste(event) {
+        const text = event.clipboardData?.getData('text/plain');
+        const converted = text ? window.game?.convertPastedEquation(text) : null;
+        if (!converted) return;
+
+        event.preventDefault();
+        const input = this.equationInput;
+        input.setRangeText(converted, input.selectionStart, input.selectionEnd, 'end');
+        input.dispatchEvent(new Event('input'));
+    }
+
+    clearInputError() {
+        this.equationInput?.classList.remove('has-error');
+        this.equationInput?.removeAttribute('aria-invalid');
+        if (this.equationErrorMarker) this.equationErrorMarker.textContent = '';
+        if (this.equationErrorHint) {
+            this.equationErrorHint.textContent = '';
+            this.equationErrorHint.hidden = true;
+        }
+    }
+
+    /** Keep the underline lined up with the text when the field scrolls */
+    syncErrorMarker() {
+        if (!this.equationErrorMarker || !this.equationInput) return;
+        this.equationErrorMarker.style.textIndent = `${-this.equationInput.scrollLeft}px`;
+    }
+
+    updateEquationsList(equations, editingIndex = -1, parameters = []) {
+        if (this.equationCount) {
+            // Each curve of a family counts, as it does against the mode's limit
+            this.equationCount.textContent = equations.reduce((count, equation) =>
+                count + (equation.type === 'definition' ? 0 : equation.members?.length ?? 1), 0);
+        }
         if (!this.equationsList) return;
 
+        this.parameterControls = {};
+
         if (equations.length === 0) {
             this.equationsList.innerHTML = '<div class="empty-state">No equations yet. Add one above.</div>';
             return;
@@ -129,16 +354,22 @@ class UIManager {
 
         equations.forEach((equation, index) => {
             const equationDiv = document.createElement('div');
-            equationDiv.className = 'equation-item' + (index === editingIndex ? ' editing' : '');
+            equationDiv.className = 'equation-item' + (index === editingIndex ? ' editing' : '') +
+                (equation.type === 'definition' ? ' definition' : '');
 
             const color = document.createElement('div');
             color.className = 'equation-color';
             color.style.backgroundColor = equation.color;
+            if (equation.members) {
+                // A family shows the shades its members are drawn in
+                color.style.background = `linear-gradient(${equation.members.map(member => member.color).join(', ')})`;
+                color.title = `${equation.members.length} curves`;
+            }
 
             const text = document.createElement('div');
             text.className = 'equation-text';
             text.title = equation.original;
-            text.textContent = equation.original;
+            this.renderEquationText(text, equation);
 
             const buttons = document.createElement('div');
             buttons.className = 'equation-buttons';
@@ -157,10 +388,173 @@ class UIManager {
             remove.setAttribute('aria-label', `Remove equation ${index + 1}`);
             remove.addEventListener('click', () => window.game?.removeEquation(index));
 
+            if (equation.detectedType || equation.typeOverride) {
+                buttons.append(this.createTypeSelect(equation, index));
+            }
             buttons.append(edit, remove);
             equationDiv.append(color, text, buttons);
+
+            // How the track plays sits on a line of its own under the equation
+            if (equation.type !== 'definition') {
+                const options = document.createElement('div');
+                options.className = 'equation-options';
+                // Region edges are solid from outside whatever the setting
+                if ((equation.members?.[0] ?? equation).type !== 'inequality') {
+                    options.append(this.createSurfaceSelect(equation, index));
+                }
+                options.append(this.createBounceSelect(equation, index));
+                equationDiv.append(options);
+            }
             this.equationsList.appendChild(equationDiv);
         });
+
+        parameters.forEach(parameter => {
+            this.equationsList.appendChild(this.createParameterRow(parameter));
+        });
+    }
+
+    createParameterRow(parameter) {
+        const { name } = parameter;
+        const row = document.createElement('div');
+        row.className = 'parameter-item';
+
+        const head = document.createElement('div');
+        head.className = 'parameter-head';
+
+        const label = document.createElement('span');
+        label.className = 'parameter-name';
+        const readout = document.createElement('strong');
+        label.append(`${name} = `, readout);
+
+        const play = document.createElement('button');
+        play.className = 'edit-btn';
+        play.type = 'button';
+        play.setAttribute('aria-label', `Animate ${name}`);
+        play.addEventListener('click', () => window.game?.toggleParameterPlay(name));
+
+        head.append(label, play);
+
+        const slider = document.createElement('input');
+        slider.className = 'parameter-slider';
+        slider.type = 'range';
+        slider.setAttribute('aria-label', `Value of ${name}`);
+        slider.addEventListener('input', () => {
+            window.game?.setParameter(name, { value: parseFloat(slider.value), playing: false });
+        });
+
+        const bounds = document.createElement('div');
+        bounds.className = 'parameter-bounds';
+        const boundInputs = {};
+
+        ['min', 'max', 'step'].forEach(field => {
+            const box = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (Number.isFinite(value)) {
+                    window.game?.setParameter(name, { [field]: value });
+                } else {
+                    this.updateParameterControl(parameter);
+                }
+            });
+            box.append(field, input);
+            bounds.appendChild(box);
+            boundInputs[field] = input;
+        });
+
+        row.append(head, slider, bounds);
+        this.parameterControls[name] = { slider, readout, play, boundInputs };
+        this.updateParameterControl(parameter);
+        return row;
+    }
+
+    updateParameterControl(parameter) {
+        const controls = this.parameterControls[parameter.name];
+        if (!controls) return;
+
+        controls.slider.min = parameter.min;
+        controls.slider.max = parameter.max;
+        controls.slider.step = parameter.playing ? 'any' : parameter.step;
+        controls.slider.value = parameter.value;
+        controls.readout.textContent = this.formatParameterValue(parameter.value);
+        controls.play.textContent = parameter.playing ? 'Pause' : 'Play';
+
+        ['min', 'max', 'step'].forEach(field => {
+            const input = controls.boundInputs[field];
+            if (document.activeElement !== input) input.value = parameter[field];
+        });
+    }
+
+    formatParameterValue(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /** Sliders for every PHYSICS_SETTINGS entry, for tuning levels; add ?dev to the URL to show them */
+    setupPhysicsPanel() {
+        if (!this.physicsPanel) return;
+        this.physicsPanel.hidden = !new URLSearchParams(window.location.search).has('dev');
+
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'Preset: none';
+        this.physicsPreset.appendChild(none);
+
+        Object.entries(PHYSICS_PRESETS).forEach(([id, preset]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `Preset: ${preset.name}`;
+            option.title = preset.hint;
+            this.physicsPreset.appendChild(option);
+        });
+        this.physicsPreset.addEventListener('change', () => window.game?.setPhysicsPreset(this.physicsPreset.value));
+
+        Object.entries(PHYSICS_SETTINGS).forEach(([key, range]) => {
+            const row = document.createElement('label');
+            row.className = 'physics-setting';
+
+            const name = document.createElement('span');
+            name.textContent = key;
+            name.title = key;
+            const readout = document.createElement('strong');
+
+            const slider = document.createElement('input');
+            slider.className = 'parameter-slider';
+            slider.type = 'range';
+            slider.min = range.min;
+            slider.max = range.max;
+            slider.step = range.step;
+            // Dragging only moves the readout; the engine and its rails are rebuilt once, on release
+            slider.addEventListener('input', () => { readout.textContent = slider.value; });
+            slider.addEventListener('change', () => window.game?.setPhysicsSetting(key, parseFloat(slider.value)));
+
+            row.append(name, readout, slider);
+            this.physicsSettings.appendChild(row);
+            this.physicsControls[key] = { row, slider, readout };
+        });
+
+        this.physicsExportBtn.addEventListener('click', () => window.game?.exportPhysics());
+    }
+
+    /** Show the engine's settings, highlighting the ones that differ from the defaults */
+    updatePhysicsPanel(physics, preset = '') {
+        if (!this.physicsPreset) return;
+
+        this.physicsPreset.value = preset;
+        const overrides = physics.getOverrides();
+        Object.entries(this.physicsControls).forEach(([key, { row, slider, readout }]) => {
+            if (document.activeElement !== slider) slider.value = physics[key];
+            readout.textContent = String(Math.round(physics[key] * 1000) / 1000);
+            row.classList.toggle('overridden', key in overrides);
+        });
+    }
+
+    showPhysicsExport(json) {
+        if (!this.physicsExport) return;
+        this.physicsExport.hidden = false;
+        this.physicsExport.value = json;
+        this.physicsExport.select();
     }
 
     setEditingState(isEditing, equation = '') {
@@ -185,6 +579,37 @@ class UIManager {
         }
     }
 
+    /** One chip per launcher: its colour, name and how many stars its marbles collected */
+    updateLauncherHud(launchers, stars) {
+        if (!this.launcherHud) return;
+
+        this.launcherHud.hidden = launchers.length === 0;
+        this.launcherHud.innerHTML = '';
+        launchers.forEach((launcher) => {
+            const collected = stars.filter(star => star.collected && star.collectedBy === launcher.id).length;
+            const reserved = stars.filter(star => star.launcher === launcher.id).length;
+
+            const chip = document.createElement('div');
+            chip.className = 'hud-chip launcher-chip';
+            chip.title = `${launcher.count} marble${launcher.count === 1 ? '' : 's'}` +
+                (launcher.delay > 0 ? `, released after ${launcher.delay}s` : '') +
+                (reserved > 0 ? `; ${reserved} star${reserved === 1 ? '' : 's'} only its marbles collect` : '');
+
+            const dot = document.createElement('span');
+            dot.className = 'launcher-dot';
+            dot.style.background = launcher.color;
+
+            const name = document.createElement('span');
+            name.textContent = launcher.name;
+
+            const count = document.createElement('strong');
+            count.textContent = collected;
+
+            chip.append(dot, name, count);
+            this.launcherHud.appendChild(chip);
+        });
+    }
+
     updateStats(starsCollected, totalStars) {
         if (this.starsCollected) this.starsCollected.textContent = starsCollected;
         if (this.totalStars) this.totalStars.textContent = totalStars;
@@ -201,7 +626,8 @@ class UIManager {
         if (this.equationLimit) {
             const eqLabel = mode.maxEquations === Infinity ? 'unlimited plots' : `${mode.maxEquations} plot limit`;
             const marbles = mode.marbleCount || 3;
-            this.equationLimit.textContent = `${eqLabel} · ${marbles} marble${marbles > 1 ? 's' : ''}`;
+            const collisions = mode.marbleCollisions ? ' that collide' : '';
+            this.equationLimit.textContent = `${eqLabel} · ${marbles} marble${marbles > 1 ? 's' : ''}${collisions}`;
         }
 
         document.querySelectorAll('[data-mode]').forEach((button) => {
@@ -252,6 +678,7 @@ class UIManager {
     clearInput() {
         if (this.equationInput) {
             this.equationInput.value = '';
+            this.clearInputError();
             window.mathKeyboard?.updatePreview();
         }
     }